@@ -0,0 +1,87 @@
+// PixlServer Unbase Alias Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	resolveIndexKey: function(index_key) {
+		// resolve alias to real index key, or return key as-is
+		return (this.aliases && this.aliases[index_key]) || index_key;
+	},
+	
+	getAliases: function(index_key) {
+		// get list of all aliases pointing at specified index
+		var aliases = [];
+		
+		for (var alias in this.aliases) {
+			if (this.aliases[alias] == index_key) aliases.push( alias );
+		}
+		
+		return aliases;
+	},
+	
+	createAlias: function(alias, index_key, callback) {
+		// create new alias pointing at existing index
+		if (!callback) callback = noop;
+		
+		if (!alias || (typeof(alias) != 'string') || !alias.match(/^\w+$/)) {
+			return callback( new Error("Invalid alias ID: " + alias) );
+		}
+		if (this.indexes[alias]) return callback( new Error("Index already exists: " + alias) );
+		if (this.aliases[alias]) return callback( new Error("Alias already exists: " + alias) );
+		if (!this.indexes[index_key]) return callback( new Error("Index not found: " + index_key) );
+		
+		this.logDebug(3, "Creating alias: " + alias + " --> " + index_key);
+		
+		this.aliases[alias] = index_key;
+		this.storage.hashPut( this.basePath + '/indexes', alias, { alias: index_key }, callback );
+	},
+	
+	swapAlias: function(alias, index_key, callback) {
+		// atomically repoint alias at another index, and move live views over
+		if (!callback) callback = noop;
+		
+		var old_key = this.aliases[alias];
+		if (!old_key) return callback( new Error("Alias not found: " + alias) );
+		if (!this.indexes[index_key]) return callback( new Error("Index not found: " + index_key) );
+		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
+		if (old_key == index_key) return callback();
+		
+		this.logDebug(3, "Swapping alias: " + alias + " --> " + index_key, { old: old_key });
+		
+		// flip happens synchronously, so readers never see a mixed state
+		this.aliases[alias] = index_key;
+		this.moveViews( old_key, index_key, alias );
+		
+		this.logTransaction('alias_swap', alias, { old: old_key, new: index_key });
+		this.storage.hashPut( this.basePath + '/indexes', alias, { alias: index_key }, callback );
+	},
+	
+	deleteAlias: function(alias, callback) {
+		// delete alias (target index is not touched)
+		if (!callback) callback = noop;
+		
+		var index_key = this.aliases[alias];
+		if (!index_key) return callback( new Error("Alias not found: " + alias) );
+		
+		this.logDebug(3, "Deleting alias: " + alias, { index: index_key });
+		
+		// abort all views subscribed via alias
+		if (this.views[index_key]) {
+			for (var search_id in this.views[index_key]) {
+				var view = this.views[index_key][search_id];
+				if (view.alias == alias) view.destroy();
+			}
+		}
+		
+		delete this.aliases[alias];
+		this.storage.hashDelete( this.basePath + '/indexes', alias, callback );
+	}
+
+	
+}); // class
@@ -0,0 +1,308 @@
+// PixlServer Unbase Attachment Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	attachmentTypes: {
+		txt: 'text/plain', csv: 'text/csv', html: 'text/html', json: 'application/json', xml: 'application/xml',
+		pdf: 'application/pdf', zip: 'application/zip', gz: 'application/gzip',
+		png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+		mp4: 'video/mp4', webm: 'video/webm', mp3: 'audio/mpeg'
+	},
+	
+	getAttachmentPath: function(index_key, record_id, name, trash) {
+		// get storage path to attachment, which lives under the record path (or trashed record path)
+		if (trash) return this.getTrashPath(index_key, record_id) + '/attachments/' + name;
+		return this.basePath + '/records/' + index_key + '/' + record_id + '/attachments/' + name;
+	},
+	
+	getAttachmentTempPath: function(name) {
+		// get unique storage path for attachment data in transit (keeps the extension, for binary storage)
+		return this.basePath + '/attachments_tmp/' + this.getUniqueID('a') + '-' + name;
+	},
+	
+	validateAttachmentName: function(name) {
+		// make sure attachment name is a simple filename with an extension (required for binary storage keys)
+		// return false for success, or error on failure
+		if (!name || (typeof(name) != 'string') || !name.match(/^[\w\-]+(\.[\w\-]+)*\.\w+$/)) {
+			return new Error("Invalid attachment name: " + name + ": Must be a filename with an extension");
+		}
+		return false;
+	},
+	
+	getAttachmentType: function(name) {
+		// guess content type from attachment file extension
+		var ext = name.replace(/^.+\./, '').toLowerCase();
+		return this.attachmentTypes[ext] || 'application/octet-stream';
+	},
+	
+	getAttachmentNotFoundError: function(index_key, record_id, name) {
+		// construct error for missing attachment
+		var err = new Error("Attachment not found: " + index_key + '/' + record_id + '/' + name);
+		err.code = 'AttachmentNotFound';
+		return err;
+	},
+	
+	getRecordAttachments: function(record) {
+		// get attachment metadata from record, keyed by name
+		return (record && record._attachments && record._attachments.files) ? record._attachments.files : {};
+	},
+	
+	buildAttachmentMeta: function(files) {
+		// build record _attachments object from file metadata, with flat name/type lists for indexing
+		// return null if there are no attachments left
+		var names = Object.keys(files).sort();
+		if (!names.length) return null;
+		
+		return {
+			names: names,
+			types: names.map( function(name) { return files[name].type; } ),
+			size: names.reduce( function(total, name) { return total + files[name].size; }, 0 ),
+			count: names.length,
+			files: files
+		};
+	},
+	
+	setRecordAttachment: function(index_key, record_id, name, info, args, callback) {
+		// add, replace or remove (info null) attachment metadata on record, via update
+		// fails with AttachmentNotFound when removing an attachment that isn't there
+		var self = this;
+		var found = true;
+		
+		var handler = function(record) {
+			var files = Tools.copyHash( self.getRecordAttachments(record), true );
+			if (!info && !files[name]) { found = false; return false; }
+			
+			if (info) files[name] = info;
+			else delete files[name];
+			
+			var meta = self.buildAttachmentMeta(files);
+			return meta ? { _attachments: meta } : { $unset: [ '_attachments' ] };
+		};
+		
+		this.update( { index: index_key, id: record_id, updates: handler, meta: args.meta }, function(err) {
+			if (!found) err = self.getAttachmentNotFoundError(index_key, record_id, name);
+			callback(err);
+		} );
+	},
+	
+	putAttachment: function(index_key, record_id, name, data, opts, callback) {
+		// store binary attachment (buffer or readable stream) for record, replacing any with the same name
+		// opts: { type, meta }
+		// callback receives attachment info: { name, size, type, date }
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write') || this.validateAttachmentName(name);
+		if (err) return callback(err);
+		
+		var is_buffer = Buffer.isBuffer(data);
+		if (!is_buffer && (!data || (typeof(data.pipe) != 'function'))) {
+			return callback( new Error("Invalid attachment data: Must be a Buffer or readable stream") );
+		}
+		
+		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
+		var att_path = this.getAttachmentPath(index_key, record_id, name);
+		var temp_path = this.getAttachmentTempPath(name);
+		var info = { name: name, size: is_buffer ? data.length : 0, type: opts.type || this.getAttachmentType(name), date: Tools.timeNow() };
+		
+		this.logDebug(6, "Storing attachment: " + index_key + '/' + record_id + '/' + name);
+		
+		// lock attachment, so concurrent writes to the same one can't interleave data and metadata
+		this.storage.lock( att_path, true, function() {
+			var finish = function(err) {
+				self.storage.unlock( att_path );
+				if (err) return callback(err);
+				self.logDebug(6, "Attachment stored", info);
+				callback( null, info );
+			};
+			
+			async.series([
+				function(callback) {
+					// make sure record exists before storing anything
+					self.storage.get( data_path, function(err) {
+						if (err && (err.code == 'NoSuchKey')) err = self.getRecordNotFoundError(index_key, record_id);
+						callback(err);
+					} );
+				},
+				function(callback) {
+					// store data in a temp location, so any existing attachment survives a failed update
+					if (is_buffer) return self.storage.put( temp_path, data, callback );
+					
+					self.storage.putStream( temp_path, data, function(err) {
+						if (err) return callback(err);
+						
+						// streams have unknown length until stored
+						self.storage.head( temp_path, function(err, head) {
+							if (err) return callback(err);
+							info.size = head.len;
+							callback();
+						} );
+					} );
+				},
+				function(callback) {
+					// add metadata to record (bumps revision, reindexes, etc.)
+					self.setRecordAttachment( index_key, record_id, name, info, opts, function(err) {
+						if (!err) return callback();
+						
+						// record vanished, or update was rejected (schema, hooks), so don't leave the data behind
+						self.storage.delete( temp_path, function() { callback(err); } );
+					} );
+				},
+				function(callback) {
+					// update succeeded, so move data into place (replacing any previous version)
+					self.storage.rename( temp_path, att_path, callback );
+				}
+			], finish ); // series
+		} ); // lock
+	},
+	
+	getAttachment: function(index_key, record_id, name, opts, callback) {
+		// fetch attachment as buffer, or as readable stream with opts.stream
+		// callback receives (err, buffer_or_stream, info)
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'read');
+		if (err) return callback(err);
+		
+		this.getRecord( index_key, record_id, function(err, record) {
+			if (err) return callback(err);
+			
+			var info = self.getRecordAttachments(record)[name];
+			if (!info) return callback( self.getAttachmentNotFoundError(index_key, record_id, name) );
+			
+			var att_path = self.getAttachmentPath(index_key, record_id, name);
+			var method = opts.stream ? 'getStream' : 'get';
+			
+			self.storage[method]( att_path, function(err, data) {
+				if (err && (err.code == 'NoSuchKey')) err = self.getAttachmentNotFoundError(index_key, record_id, name);
+				if (err) return callback(err);
+				callback( null, data, Tools.mergeHashes(info, { name: name }) );
+			} );
+		} );
+	},
+	
+	listAttachments: function(index_key, record_id, callback) {
+		// list attachment metadata for record, sorted by name
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'read');
+		if (err) return callback(err);
+		
+		this.getRecord( index_key, record_id, function(err, record) {
+			if (err) return callback(err);
+			
+			var files = self.getRecordAttachments(record);
+			callback( null, Object.keys(files).sort().map( function(name) {
+				return Tools.mergeHashes( files[name], { name: name } );
+			} ) );
+		} );
+	},
+	
+	deleteAttachment: function(index_key, record_id, name, opts, callback) {
+		// delete single attachment from record
+		// opts: { meta }
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write') || this.validateAttachmentName(name);
+		if (err) return callback(err);
+		
+		var att_path = this.getAttachmentPath(index_key, record_id, name);
+		this.logDebug(6, "Deleting attachment: " + index_key + '/' + record_id + '/' + name);
+		
+		this.storage.lock( att_path, true, function() {
+			// remove metadata first, so the record never points at missing data
+			self.setRecordAttachment( index_key, record_id, name, null, opts, function(err) {
+				if (err) {
+					self.storage.unlock( att_path );
+					return callback(err);
+				}
+				
+				self.storage.delete( att_path, function(err) {
+					// ignore error (data may be gone already)
+					self.storage.unlock( att_path );
+					callback();
+				} );
+			} );
+		} );
+	},
+	
+	deleteRecordAttachments: function(index_key, record_id, record, trash, callback) {
+		// delete all attachment data for record (after record itself is deleted), or trashed record
+		// errors are only logged, as the record is already gone
+		var self = this;
+		
+		async.eachSeries( Object.keys( this.getRecordAttachments(record) ),
+			function(name, callback) {
+				self.storage.delete( self.getAttachmentPath(index_key, record_id, name, trash), function(err) {
+					if (err && (err.code != 'NoSuchKey')) {
+						self.logError('attachment', "Failed to delete attachment: " + index_key + '/' + record_id + '/' + name + ": " + err);
+					}
+					callback();
+				} );
+			},
+			function() { callback(); }
+		); // eachSeries
+	},
+	
+	copyRecordAttachments: function(src_key, dest_key, record_id, record, move, callback) {
+		// copy (or move) all attachment data for record to another index (for cloneIndex and renameIndex)
+		var self = this;
+		
+		this.transferAttachments( record, move ? 'rename' : 'copy',
+			function(name) { return self.getAttachmentPath(src_key, record_id, name); },
+			function(name) { return self.getAttachmentPath(dest_key, record_id, name); },
+			callback
+		);
+	},
+	
+	moveTrashAttachments: function(index_key, record_id, record, restore, callback) {
+		// move all attachment data for record into the trash area, or back out of it (restore)
+		// trashed attachments must not live at the record path, as a new record may take the same id
+		var self = this;
+		
+		this.transferAttachments( record, 'rename',
+			function(name) { return self.getAttachmentPath(index_key, record_id, name, restore); },
+			function(name) { return self.getAttachmentPath(index_key, record_id, name, !restore); },
+			callback
+		);
+	},
+	
+	transferAttachments: function(record, method, get_src_path, get_dest_path, callback) {
+		// copy or rename all attachment data for record, given functions which map names to paths
+		var self = this;
+		
+		async.eachSeries( Object.keys( this.getRecordAttachments(record) ),
+			function(name, callback) {
+				self.storage[method]( get_src_path(name), get_dest_path(name), function(err) {
+					if (err && (err.code != 'NoSuchKey')) return callback(err);
+					callback();
+				} );
+			},
+			callback
+		); // eachSeries
+	}
+	
+}); // class
@@ -0,0 +1,426 @@
+// PixlServer Unbase Atomic Batch Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	batchActions: { insert: 1, update: 1, delete: 1 },
+	
+	batch: function(ops, callback) {
+		// apply mixed insert, update and delete operations across one or more indexes, all or nothing
+		// ops: [{ action, index, id, data (insert), updates (update), if_rev, mode, upsert, trash, meta }]
+		// callback receives array of results: [{ action, index, id, rev }]
+		if (!callback) callback = noop;
+		var self = this;
+		
+		var items = this.validateBatch(ops);
+		if (items instanceof Error) return callback(items);
+		
+		this.logDebug(6, "Applying batch of " + items.length + " operations");
+		
+		async.series([
+			function(callback) {
+				// generate ids for inserts that need them
+				async.eachSeries( items,
+					function(item, callback) {
+						if (item.id) return process.nextTick( callback );
+						self.generateRecordID( item.index_key, function(err, record_id) {
+							if (err) return callback(err);
+							item.id = record_id;
+							item.data_path = self.basePath + '/records/' + item.index_key + '/' + record_id;
+							callback();
+						} );
+					},
+					callback
+				); // eachSeries
+			},
+			function(callback) {
+				// each record may only appear once per batch (locks are not reentrant)
+				var seen = {};
+				for (var idx = 0, len = items.length; idx < len; idx++) {
+					var item = items[idx];
+					if (seen[item.data_path]) {
+						return callback( new Error("Batch: Operation #" + idx + ": Duplicate record: " + item.index_key + '/' + item.id) );
+					}
+					seen[item.data_path] = 1;
+				}
+				callback();
+			}
+		],
+		function(err) {
+			if (err) return callback(err);
+			
+			// lock all records in sorted order, so concurrent batches cannot deadlock
+			var paths = items.map( function(item) { return item.data_path; } ).sort();
+			async.eachSeries( paths,
+				function(path, callback) {
+					self.storage.lock( path, true, function() { callback(); } );
+				},
+				function() {
+					var unlock = function() {
+						paths.forEach( function(path) { self.storage.unlock(path); } );
+					};
+					
+					self.prepareBatch( items, function(err) {
+						if (err) {
+							unlock();
+							return callback(err);
+						}
+						
+						self.commitBatch( items, function(err) {
+							if (err) {
+								unlock();
+								return callback(err);
+							}
+							
+							// attachments, changelog and after hooks run once everything is committed, but still inside the locks
+							async.eachSeries( items,
+								function(item, callback) {
+									var purge = (item.action == 'delete') && !item.trash && (item.args.attachments !== false);
+									
+									self.deleteRecordAttachments( item.index_key, item.id, purge ? item.prev : null, false, function() {
+										self.appendChange( item.index_key, item.id, item.action, item.next, item.state, item.args, function() {
+											self.runHooks( 'after' + Tools.ucfirst(item.action), item.index_key, item.context, item.args, callback );
+										} );
+									} );
+								},
+								function() {
+									unlock();
+									self.logDebug(6, "Batch complete: " + items.length + " operations");
+									self.finishBatch( items, callback );
+								}
+							); // eachSeries
+						} ); // commitBatch
+					} ); // prepareBatch
+				}
+			); // eachSeries
+		}); // series
+	},
+	
+	validateBatch: function(ops) {
+		// validate all batch operations up front, before anything is locked or written
+		// returns array of normalized items, or error on failure
+		if (!ops || !Tools.isaArray(ops) || !ops.length) return new Error("Batch: Invalid operations array");
+		var items = [];
+		
+		for (var idx = 0, len = ops.length; idx < len; idx++) {
+			var op = ops[idx];
+			var prefix = "Batch: Operation #" + idx + ": ";
+			if (!op || (typeof(op) != 'object')) return new Error(prefix + "Malformed operation");
+			if (!this.batchActions[op.action]) return new Error(prefix + "Invalid action: " + op.action);
+			
+			var index_key = this.resolveIndexKey(op.index);
+			var index = this.indexes[index_key];
+			if (!index) return new Error(prefix + "Index not found: " + index_key);
+			var err = this.checkIndexMode(index_key, 'write') || this.checkIndexEncryption(index_key);
+			if (err) {
+				var berr = new Error(prefix + err.message);
+				berr.code = err.code;
+				return berr;
+			}
+			if (this.countIndexJobs(index_key)) return new Error(prefix + "Index is busy: " + index_key);
+			if (!op.id && (op.action != 'insert')) return new Error(prefix + "No record ID specified");
+			
+			var args = Tools.copyHashRemoveKeys( op, { action: 1, index: 1, id: 1, data: 1, updates: 1 } );
+			
+			if (op.action == 'insert') {
+				if (!op.data || (typeof(op.data) != 'object')) return new Error(prefix + "Invalid record data");
+				var err = this.validateRecord(index, op.data);
+				if (err) return new Error(prefix + err.message);
+				if (args.mode && !this.insertModes[args.mode]) return new Error(prefix + "Invalid insert mode: " + args.mode);
+			}
+			else if (op.action == 'update') {
+				var err = this.validateUpdates(op.updates);
+				if (err) return new Error(prefix + err.message);
+			}
+			
+			items.push({
+				idx: idx,
+				action: op.action,
+				index_key: index_key,
+				index: index,
+				id: op.id || null,
+				data: op.data || null,
+				updates: op.updates || null,
+				args: args,
+				data_path: this.basePath + '/records/' + index_key + '/' + op.id
+			});
+		}
+		
+		return items;
+	},
+	
+	prepareBatch: function(items, callback) {
+		// load current records, check preconditions and compute new records (nothing is written yet)
+		// call this from inside the record locks
+		var self = this;
+		
+		// records deleted by the batch itself may reference each other
+		var deleting = {};
+		items.forEach( function(item) {
+			if (item.action == 'delete') deleting[ item.index_key + '/' + item.id ] = 1;
+		} );
+		
+		async.eachSeries( items,
+			function(item, callback) {
+				var index_key = item.index_key;
+				var record_id = item.id;
+				var args = item.args;
+				
+				var fail = function(err) {
+					var berr = new Error("Batch: Operation #" + item.idx + ": " + (err.message || err));
+					berr.code = err.code;
+					callback(berr);
+				};
+				
+				self.storage.get( item.data_path, function(err, record_data) {
+					if (err && (err.code != 'NoSuchKey')) return fail(err);
+					item.prev = self.decryptRecord(item.index, record_data) || null;
+					
+					var rev = item.prev ? self.getRecordRev(item.prev) : null;
+					if (args.if_rev && (rev != args.if_rev)) return fail( self.getRevConflictError(index_key, record_id, args.if_rev, rev) );
+					
+					switch (item.action) {
+						case 'insert':
+							if ((args.mode == 'create') && item.prev) {
+								var err = new Error("Record already exists: " + index_key + '/' + record_id);
+								err.code = 'RecordExists';
+								return fail(err);
+							}
+							if ((args.mode == 'replace') && !item.prev) return fail( self.getRecordNotFoundError(index_key, record_id) );
+							item.next = item.data;
+						break;
+						
+						case 'update':
+							if (!item.prev && !args.upsert) return fail( self.getRecordNotFoundError(index_key, record_id) );
+							item.next = item.prev ? Tools.copyHash(item.prev, true) : {};
+							
+							var updates = item.updates;
+							if (typeof(updates) == 'function') {
+								updates = updates(item.next);
+								if (!updates || (typeof(updates) != 'object')) return fail( new Error("Update handler aborted batch") );
+							}
+							
+							var err = self.applyUpdates(item.next, updates) || self.validateRecord(item.index, item.next);
+							if (err) return fail(err);
+						break;
+						
+						case 'delete':
+							if (!item.prev) return fail( self.getRecordNotFoundError(index_key, record_id) );
+							item.next = null;
+							item.trash = ("trash" in args) ? !!args.trash : !!item.index.soft_delete;
+						break;
+					}
+					
+					// same hook context as insert, update and delete
+					item.context = { action: item.action, index: index_key, id: record_id, data: item.next || item.prev, meta: args.meta };
+					if (item.action == 'update') {
+						item.context.prev = item.prev;
+						item.context.updates = item.updates;
+					}
+					
+					// before hooks may modify the record or veto the whole batch
+					self.runHooks( 'before' + Tools.ucfirst(item.action), index_key, item.context, args, function(err) {
+						if (err) return fail(err);
+						
+						if (item.action != 'delete') {
+							item.next = item.context.data;
+							var err = self.validateRecord(item.index, item.next);
+							if (err) return fail(err);
+						}
+						
+						if ((item.action != 'delete') || (args.references === false)) return callback();
+						
+						// batches never cascade, so any remaining references fail the batch
+						self.findRecordReferences( index_key, record_id, function(err, matches) {
+							if (err) return fail(err);
+							
+							for (var idx = 0, len = matches.length; idx < len; idx++) {
+								var match = matches[idx];
+								match.ids = match.ids.filter( function(id) { return !deleting[ match.index_key + '/' + id ]; } );
+								if (match.ids.length) return fail( self.getRecordReferencedError(index_key, record_id, match) );
+							}
+							
+							callback();
+						} ); // findRecordReferences
+					} ); // runHooks
+				} ); // get
+			},
+			callback
+		); // eachSeries
+	},
+	
+	commitBatch: function(items, callback) {
+		// write all prepared records and index data, rolling everything back on failure
+		// call this from inside the record locks
+		var self = this;
+		var applied = [];
+		
+		async.eachSeries( items,
+			function(item, callback) {
+				// track item before writing, so partial writes are rolled back too
+				applied.push( item );
+				self.applyBatchItem( item, callback );
+			},
+			function(err) {
+				if (!err) return callback();
+				
+				var berr = new Error("Batch: Operation #" + applied[applied.length - 1].idx + " failed: " + (err.message || err));
+				berr.code = err.code;
+				self.logError('batch', berr.message + " (rolling back " + applied.length + " operations)");
+				
+				self.rollbackBatch( applied.reverse(), function() {
+					callback(berr);
+				} );
+			}
+		); // eachSeries
+	},
+	
+	applyBatchItem: function(item, callback) {
+		// write single prepared batch item (record data, history, manifest and index)
+		var self = this;
+		var index_key = item.index_key;
+		var record_id = item.id;
+		var index = item.index;
+		
+		async.series([
+			function(callback) {
+				// keep previous version, if index has record history enabled
+				item.versioned = !!(index.record_history && (item.args.history !== false));
+				self.saveRecordVersion( index_key, record_id, item.prev, item.action, item.args, callback );
+			},
+			function(callback) {
+				if (item.action == 'delete') {
+					self.storage.unindexRecord( record_id, index, function(err, state) {
+						if (err) return callback(err);
+						item.state = state;
+						
+						if (item.trash) self.trashRecord( index_key, record_id, item.args, callback );
+						else self.storage.delete( item.data_path, callback );
+					} );
+					return;
+				}
+				
+				// add to manifest first, so an interrupted write can be found by verifyIndex()
+				self.storage.hashPut( self.getManifestPath(index_key), record_id, 1, function(err) {
+					if (err) return callback(err);
+					
+					self.storage.put( item.data_path, self.encryptRecord(index, item.next), function(err) {
+						if (err) return callback(err);
+						
+						self.storage.indexRecord( record_id, self.computeRecord(index, item.next), index, function(err, state) {
+							if (err) return callback(err);
+							item.state = state;
+							callback();
+						} );
+					} );
+				} );
+			},
+			function(callback) {
+				if (item.action != 'delete') return process.nextTick( callback );
+				self.storage.hashDelete( self.getManifestPath(index_key), record_id, function() {
+					// ignore error (records stored prior to manifest tracking)
+					callback();
+				} );
+			}
+		], callback ); // series
+	},
+	
+	rollbackBatch: function(items, callback) {
+		// restore previous record data and index state for applied items, newest first
+		// errors are logged but do not stop the rollback
+		var self = this;
+		
+		async.eachSeries( items,
+			function(item, callback) {
+				var index_key = item.index_key;
+				var record_id = item.id;
+				var index = item.index;
+				
+				var done = function(err) {
+					if (err) self.logError('batch', "Failed to roll back record: " + index_key + '/' + record_id + ": " + err);
+					callback();
+				};
+				
+				async.series([
+					function(callback) {
+						// drop version saved by this batch
+						if (!item.versioned) return process.nextTick( callback );
+						self.storage.listPop( self.getRecordHistoryPath(index_key, record_id), function() {
+							// ignore error (version may not have been saved)
+							callback();
+						} );
+					},
+					function(callback) {
+						if (item.prev) {
+							// record existed before: put it back and reindex it
+							self.storage.put( item.data_path, self.encryptRecord(index, item.prev), function(err) {
+								if (err) return callback(err);
+								
+								self.storage.hashPut( self.getManifestPath(index_key), record_id, 1, function(err) {
+									if (err) return callback(err);
+									self.storage.indexRecord( record_id, self.computeRecord(index, item.prev), index, function(err) { callback(err); } );
+								} );
+							} );
+							return;
+						}
+						
+						// record is new: remove all traces of it
+						self.storage.unindexRecord( record_id, index, function() {
+							// ignore error (record may not have been indexed)
+							self.storage.delete( item.data_path, function() {
+								// ignore error (data may not have been stored)
+								self.storage.hashDelete( self.getManifestPath(index_key), record_id, function() {
+									// ignore error (manifest entry may not exist)
+									callback();
+								} );
+							} );
+						} );
+					},
+					function(callback) {
+						// pull record and its attachments back out of trash, if they were moved there
+						if (!item.trash) return process.nextTick( callback );
+						self.moveTrashAttachments( index_key, record_id, item.prev, true, function() {
+							// ignore error (attachments may not have been moved)
+							self.removeTrashRecord( index_key, record_id, callback );
+						} );
+					}
+				], done ); // series
+			},
+			function() {
+				callback();
+			}
+		); // eachSeries
+	},
+	
+	finishBatch: function(items, callback) {
+		// notify live views after commit, then evict old records from capped indexes (in the background)
+		var self = this;
+		var capped = {};
+		
+		var results = items.map( function(item) {
+			item.state.action = (item.action == 'delete') ? 'delete' : 'insert';
+			self.updateViews( item.index_key, item.state );
+			
+			if (item.state.new_record && item.index.max_records) capped[ item.index_key ] = 1;
+			
+			return {
+				action: item.action,
+				index: item.index_key,
+				id: item.id,
+				rev: item.next ? self.getRecordRev(item.next) : null
+			};
+		} );
+		
+		for (var index_key in capped) this.enforceCap( index_key );
+		
+		callback( null, results );
+	}
+	
+}); // class
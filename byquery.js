@@ -0,0 +1,139 @@
+// PixlServer Unbase Update/Delete By Query Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	defaultQuerySample: 10,
+	
+	updateByQuery: function(index_key, query, updates, opts, callback) {
+		// update all records matching query, as a background job
+		// opts: { dry_run, sample, meta }
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
+		if (!callback) callback = noop;
+		
+		var err = this.validateUpdates(updates);
+		if (err) return callback(err);
+		
+		return this.runQueryJob( index_key, query, opts, "Updating", function(record_id, parsed, callback) {
+			this.update( { index: index_key, id: record_id, updates: updates, query: parsed, meta: opts.meta }, callback );
+		}, callback );
+	},
+	
+	deleteByQuery: function(index_key, query, opts, callback) {
+		// delete all records matching query, as a background job
+		// opts: { dry_run, sample, meta, trash? }
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
+		if (!callback) callback = noop;
+		
+		return this.runQueryJob( index_key, query, opts, "Deleting", function(record_id, parsed, callback) {
+			var args = { index: index_key, id: record_id, query: parsed, meta: opts.meta };
+			if ("trash" in opts) args.trash = opts.trash;
+			this.delete( args, callback );
+		}, callback );
+	},
+	
+	runQueryJob: function(index_key, query, opts, verb, handler, callback) {
+		// search for matching records, then invoke handler for each one (in series)
+		// each record is rechecked against the query inside its lock, and skipped if it no longer matches
+		// callback receives { count, sample } for dry runs, or { matched, affected, skipped }
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, opts.dry_run ? 'read' : 'write');
+		if (err) return callback(err);
+		if (!opts.dry_run && this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
+		
+		// parse query up front (will throw)
+		var parsed = null;
+		try { parsed = this.parseSearchQuery(index_key, query).query; }
+		catch (err) { return callback(err); }
+		
+		if (opts.dry_run) {
+			this.search( index_key, parsed, { ids: true }, function(err, data) {
+				if (err) return callback(err);
+				var sample = ("sample" in opts) ? opts.sample : self.defaultQuerySample;
+				callback( null, { count: data.records.length, sample: data.records.slice(0, sample) } );
+			} );
+			return;
+		}
+		
+		var job = this.createJob({ title: verb + " records by query: " + index_key, index: index_key, matched: 0, affected: 0, skipped: 0 });
+		var stats = { matched: 0, affected: 0, skipped: 0 };
+		var record_idx = 0;
+		
+		this.logDebug(6, verb + " records by query: " + index_key, { query: query });
+		
+		this.search( index_key, parsed, { ids: true }, function(err, data) {
+			if (err) {
+				self.finishJob(job);
+				return callback(err);
+			}
+			
+			var ids = data.records;
+			stats.matched = ids.length;
+			self.updateJob(job, { title: verb + " " + ids.length + " records by query: " + index_key, matched: ids.length });
+			
+			async.eachSeries( ids,
+				function(record_id, callback) {
+					handler.call( self, record_id, parsed, function(err) {
+						if (err) {
+							if ((err.code != 'RecordNotMatched') && (err.code != 'RecordNotFound') && (err.code != 'NoSuchKey')) {
+								return callback( new Error(verb + " by query: Record " + record_id + " failed: " + err) );
+							}
+							
+							// record changed or vanished since the search, skip it
+							self.logDebug(9, "Skipping record: " + index_key + '/' + record_id + ": " + err);
+							stats.skipped++;
+						}
+						else stats.affected++;
+						
+						// update job progress
+						record_idx++;
+						self.updateJob(job, Tools.mergeHashes( stats, { progress: record_idx / ids.length } ));
+						
+						callback();
+					} );
+				},
+				function(err) {
+					// job finished
+					self.finishJob(job);
+					callback( err, stats );
+				}
+			); // eachSeries
+		} ); // search
+		
+		return job;
+	},
+	
+	checkRecordMatch: function(index_key, record_id, query, callback) {
+		// make sure record still matches query, using its current index data
+		// call this from inside the record lock
+		var self = this;
+		var index = this.indexes[index_key];
+		if (!query || (query == '*')) return process.nextTick( callback );
+		
+		this.storage.searchSingle( query, record_id, index, function(err, matched) {
+			if (err && (err.code == 'NoSuchKey')) return callback( self.getRecordNotFoundError(index_key, record_id) );
+			if (err) return callback(err);
+			
+			if (!matched) {
+				var err = new Error("Record no longer matches query: " + index_key + '/' + record_id);
+				err.code = 'RecordNotMatched';
+				return callback(err);
+			}
+			
+			callback();
+		} );
+	}
+	
+}); // class
@@ -0,0 +1,144 @@
+// PixlServer Unbase Capped Index Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	evicting: null,
+	
+	validateCap: function(index) {
+		// make sure index max_records and evict_sorter are kosher
+		// return false for success, or error on failure
+		if (("max_records" in index) && index.max_records) {
+			var max = index.max_records;
+			if ((typeof(max) != 'number') || (max < 1) || (Math.floor(max) !== max)) {
+				return new Error("Invalid index max_records: Must be a positive integer");
+			}
+		}
+		
+		if (("evict_sorter" in index) && index.evict_sorter && (index.evict_sorter != '_id')) {
+			if (!Tools.findObject( index.sorters || [], { id: index.evict_sorter } )) {
+				return new Error("Invalid index evict_sorter: Sorter not found: " + index.evict_sorter);
+			}
+		}
+		
+		return false;
+	},
+	
+	getEvictionOrder: function(index_key, limit, callback) {
+		// get the lowest ranked record ids (first to go), up to limit, lowest first
+		// streams through the id or sorter hash keeping only the best candidates, so the full id list is never loaded or sorted
+		var index = this.indexes[index_key];
+		var sorter = index.evict_sorter ? Tools.findObject( index.sorters || [], { id: index.evict_sorter } ) : null;
+		var path = sorter ? (index.base_path + '/' + sorter.id + '/sort') : (index.base_path + '/_id');
+		var candidates = [];
+		
+		// pairs are [ record_id, sort_value ]
+		var comparator = !sorter ?
+			function(a, b) { return (a[0] < b[0]) ? -1 : ((a[0] > b[0]) ? 1 : 0); } :
+			((sorter.type == 'number') ?
+				function(a, b) { return a[1] - b[1]; } :
+				function(a, b) { return a[1].toString().localeCompare( b[1] ); });
+		
+		this.storage.hashEachPage( path, function(items, callback) {
+			for (var key in items) {
+				var pair = [ key, items[key] ];
+				if ((candidates.length >= limit) && (comparator(pair, candidates[candidates.length - 1]) >= 0)) continue;
+				
+				// binary search for insert position, keeping candidates sorted
+				var low = 0, high = candidates.length;
+				while (low < high) {
+					var mid = Math.floor( (low + high) / 2 );
+					if (comparator(candidates[mid], pair) <= 0) low = mid + 1;
+					else high = mid;
+				}
+				
+				candidates.splice( low, 0, pair );
+				if (candidates.length > limit) candidates.pop();
+			}
+			callback();
+		},
+		function(err) {
+			// ignore error (empty hash)
+			callback( null, candidates.map( function(pair) { return pair[0]; } ) );
+		} ); // hashEachPage
+	},
+	
+	enforceCap: function(index_key, callback) {
+		// evict lowest-ranked records if index is over its max_records cap
+		// callback receives number of records evicted (errors are also logged, as writes don't wait for this)
+		if (!callback) callback = noop;
+		var self = this;
+		var index = this.indexes[index_key];
+		if (!index || !index.max_records) return process.nextTick( function() { callback(null, 0); } );
+		
+		// only one eviction per index at a time, the active one will catch up
+		if (this.evicting[index_key]) return process.nextTick( function() { callback(null, 0); } );
+		
+		this.storage.hashGetInfo( index.base_path + '/_id', function(err, hash) {
+			// ignore error (empty index)
+			var num_records = hash ? hash.length : 0;
+			if (num_records <= index.max_records) return callback( null, 0 );
+			if (self.evicting[index_key]) return callback( null, 0 );
+			self.evicting[index_key] = true;
+			
+			self.getEvictionOrder( index_key, num_records - index.max_records, function(err, ids) {
+				if (err) {
+					delete self.evicting[index_key];
+					self.logError('cap', "Failed to find records to evict: " + index_key + ": " + err);
+					return callback(err);
+				}
+				
+				if (!ids.length) {
+					delete self.evicting[index_key];
+					return callback( null, 0 );
+				}
+				
+				var job = self.createJob({ title: "Evicting " + ids.length + " records", index: index_key, evicted: 0, housekeeping: true });
+				var num_evicted = 0;
+				var record_idx = 0;
+				
+				self.logDebug(6, "Index is over capacity (" + num_records + "/" + index.max_records + "), evicting " + ids.length + " records: " + index_key);
+				
+				async.eachSeries( ids,
+					function(record_id, callback) {
+						// evict via the normal delete path, so views and summaries are updated
+						self.delete( { index: index_key, id: record_id, trash: false }, function(err) {
+							// ignore error (record may have been deleted already)
+							if (!err) num_evicted++;
+							
+							// update job progress
+							record_idx++;
+							self.updateJob(job, { progress: record_idx / ids.length, evicted: num_evicted });
+							
+							callback();
+						} ); // delete
+					},
+					function() {
+						// job finished
+						self.finishJob(job);
+						delete self.evicting[index_key];
+						
+						self.logTransaction('evict', index_key, {
+							evicted: num_evicted,
+							max_records: index.max_records,
+							sorter: index.evict_sorter || '_id'
+						});
+						
+						// catch up on inserts which arrived while we were busy (their own eviction calls were skipped)
+						if (num_evicted) self.enforceCap( index_key );
+						
+						callback( null, num_evicted );
+					}
+				); // eachSeries
+			} ); // getEvictionOrder
+		} ); // hashGetInfo
+	}
+	
+}); // class
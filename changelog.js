@@ -0,0 +1,266 @@
+// PixlServer Unbase Changelog Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+var ChangeFeed = require("./feed.js");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	defaultChangeLimit: 100,
+	changeSeqs: null,
+	feeds: null,
+	
+	validateChangelog: function(index) {
+		// make sure index changelog config is kosher
+		// changelog: true, or { max_entries, max_age, data }
+		// return false for success, or error on failure
+		if (!("changelog" in index) || !index.changelog) return false;
+		var opts = index.changelog;
+		if (opts === true) return false;
+		
+		if (!Tools.isaHash(opts)) return new Error("Invalid index changelog: Must be true or an object");
+		if ("max_entries" in opts) {
+			var max = opts.max_entries;
+			if ((typeof(max) != 'number') || (max < 1) || (Math.floor(max) !== max)) {
+				return new Error("Invalid index changelog: max_entries must be a positive integer");
+			}
+		}
+		if (("max_age" in opts) && ((typeof(opts.max_age) != 'number') || (opts.max_age <= 0))) {
+			return new Error("Invalid index changelog: max_age must be a positive number of seconds");
+		}
+		
+		return false;
+	},
+	
+	getChangelogPath: function(index_key) {
+		// get storage path to changelog list for index
+		return this.indexes[index_key].base_path + '/_changes';
+	},
+	
+	getLastChangeSeq: function(index_key, callback) {
+		// get last sequence number used in index changelog (0 if empty)
+		// cached in memory after the first lookup, as we are the only writer
+		var self = this;
+		if (index_key in this.changeSeqs) return process.nextTick( function() { callback(null, self.changeSeqs[index_key]); } );
+		
+		this.storage.listGet( this.getChangelogPath(index_key), -1, 1, function(err, items) {
+			if (err && (err.code != 'NoSuchKey')) return callback(err);
+			self.changeSeqs[index_key] = (items && items.length) ? items[0].seq : 0;
+			callback( null, self.changeSeqs[index_key] );
+		} );
+	},
+	
+	appendChange: function(index_key, record_id, action, record_data, state, args, callback) {
+		// append change to index changelog (if enabled), and stamp index state with its sequence number
+		// the write has already happened, so errors are only logged
+		// note: a crash between the record write and this append loses the change from the log (see README)
+		// call this from inside the record lock
+		var self = this;
+		var index = this.indexes[index_key];
+		if (!index.changelog || (args.changelog === false)) return process.nextTick( callback );
+		
+		var opts = (index.changelog === true) ? {} : index.changelog;
+		var path = this.getChangelogPath(index_key);
+		var lock_key = 'changelog|' + path;
+		
+		var finish = function(err) {
+			self.storage.unlock( lock_key );
+			if (err) self.logError('changelog', "Failed to append change: " + index_key + '/' + record_id + ": " + err);
+			callback();
+		};
+		
+		// sequence numbers are assigned under a per-index lock, so they always match list order
+		this.storage.lock( lock_key, true, function() {
+			self.getLastChangeSeq( index_key, function(err, last_seq) {
+				if (err) return finish(err);
+				
+				var entry = Tools.mergeHashes( args.meta ? { meta: args.meta } : {}, {
+					seq: last_seq + 1,
+					date: Tools.timeNow(),
+					action: action,
+					id: record_id,
+					rev: record_data ? self.getRecordRev(record_data) : null
+				} );
+				if (opts.data && record_data) entry.data = self.encryptRecord(index, record_data);
+				
+				self.storage.listPush( path, entry, function(err, list) {
+					if (err) return finish(err);
+					self.changeSeqs[index_key] = entry.seq;
+					if (state) state.seq = entry.seq;
+					
+					self.notifyFeeds( index_key );
+					
+					// enforce entry limit, oldest entries go first
+					if (!opts.max_entries || (list.length <= opts.max_entries)) return finish();
+					self.storage.listSplice( path, 0, list.length - opts.max_entries, null, finish );
+				} );
+			} ); // getLastChangeSeq
+		} ); // lock
+	},
+	
+	readChanges: function(index_key, since_seq, limit, callback) {
+		// read changes after specified sequence number, oldest first
+		// callback receives { changes, last_seq, max_seq }, pass last_seq back in to resume
+		if (typeof(limit) == 'function') { callback = limit; limit = 0; }
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		if (!index.changelog) return callback( new Error("Changelog is not enabled for index: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'read');
+		if (err) return callback(err);
+		
+		since_seq = parseInt( since_seq || 0 );
+		limit = limit || this.defaultChangeLimit;
+		var path = this.getChangelogPath(index_key);
+		
+		// load first entry and list header, to locate position of since_seq
+		this.storage.listGet( path, 0, 1, function(err, items, list) {
+			if (err && (err.code != 'NoSuchKey')) return callback(err);
+			if (!items || !items.length) return callback( null, { changes: [], last_seq: since_seq, max_seq: since_seq } );
+			
+			var first_seq = items[0].seq;
+			var max_seq = first_seq + list.length - 1;
+			
+			if (since_seq + 1 < first_seq) {
+				var err = new Error("Changes since " + since_seq + " have been compacted (oldest available: " + first_seq + "): " + index_key);
+				err.code = 'ChangesCompacted';
+				return callback(err);
+			}
+			if (since_seq >= max_seq) return callback( null, { changes: [], last_seq: since_seq, max_seq: max_seq } );
+			
+			self.storage.listGet( path, since_seq + 1 - first_seq, limit, function(err, changes) {
+				if (err) return callback(err);
+				changes = changes.filter( function(change) { return change.seq > since_seq; } ).map( function(change) {
+					return change.data ? Tools.mergeHashes( change, { data: self.decryptRecord(index, change.data) } ) : change;
+				} );
+				callback( null, {
+					changes: changes,
+					last_seq: changes.length ? changes[changes.length - 1].seq : since_seq,
+					max_seq: max_seq
+				} );
+			} );
+		} ); // listGet
+	},
+	
+	followChanges: function(index_key, since_seq, opts) {
+		// stream all changes after specified sequence number, then follow new ones as they happen
+		// synchronous function - will throw
+		// opts: { limit }
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) throw new Error("Index not found: " + index_key);
+		if (!index.changelog) throw new Error("Changelog is not enabled for index: " + index_key);
+		
+		var feed = new ChangeFeed( Tools.mergeHashes( opts || {}, { index_key: index_key, seq: parseInt(since_seq || 0) } ) );
+		feed.id = this.getUniqueID('f');
+		feed.init( this.server );
+		
+		if (!this.feeds[index_key]) this.feeds[index_key] = {};
+		this.feeds[index_key][feed.id] = feed;
+		
+		// start reading on next tick, so caller can attach listeners
+		process.nextTick( function() { feed.read(); } );
+		return feed;
+	},
+	
+	removeFeed: function(feed) {
+		// deregister change feed
+		if (this.feeds[feed.index_key]) delete this.feeds[feed.index_key][feed.id];
+	},
+	
+	notifyFeeds: function(index_key) {
+		// let all change feeds for index know there are new changes
+		for (var id in (this.feeds[index_key] || {})) {
+			this.feeds[index_key][id].read();
+		}
+	},
+	
+	compactChanges: function(index_key, callback) {
+		// remove changes older than the changelog max_age, always keeping the latest one
+		// changes are appended in date order, so the scan stops at the first one newer than the cutoff
+		// callback receives number of changes removed
+		if (!callback) callback = noop;
+		var self = this;
+		var index = this.indexes[index_key];
+		if (!index || !index.changelog || !index.changelog.max_age) return process.nextTick( function() { callback(null, 0); } );
+		
+		var path = this.getChangelogPath(index_key);
+		var lock_key = 'changelog|' + path;
+		var cutoff = Tools.timeNow() - index.changelog.max_age;
+		var num_old = 0;
+		var found_new = false;
+		
+		this.storage.lock( lock_key, true, function() {
+			self.storage.listEachPage( path, function(items, callback) {
+				for (var idx = 0, len = items.length; idx < len; idx++) {
+					if (items[idx].date >= cutoff) { found_new = true; break; }
+					num_old++;
+				}
+				
+				// passing true aborts the iteration
+				callback( found_new || null );
+			},
+			function(err) {
+				// ignore error (changelog may be empty, or iteration stopped early)
+				// if every change is old, keep the latest one so the sequence number survives
+				var num_remove = found_new ? num_old : (num_old - 1);
+				if (num_remove < 1) {
+					self.storage.unlock( lock_key );
+					return callback( null, 0 );
+				}
+				
+				self.logDebug(6, "Compacting changelog: " + index_key + ": Removing " + num_remove + " changes");
+				
+				self.storage.listSplice( path, 0, num_remove, null, function(err) {
+					self.storage.unlock( lock_key );
+					if (err) self.logError('changelog', "Failed to compact changelog: " + index_key + ": " + err);
+					callback( err, err ? 0 : num_remove );
+				} );
+			} ); // listEachPage
+		} ); // lock
+	},
+	
+	compactAllChanges: function(callback) {
+		// compact changelogs for all indexes with a max_age
+		if (!callback) callback = noop;
+		var self = this;
+		
+		async.eachSeries( Object.keys(this.indexes),
+			function(index_key, callback) {
+				self.compactChanges( index_key, function() { callback(); } );
+			},
+			callback
+		); // eachSeries
+	},
+	
+	deleteChangelog: function(index_key, callback) {
+		// delete entire changelog for index (for deleteIndex)
+		var self = this;
+		delete this.changeSeqs[index_key];
+		
+		this.storage.listDelete( this.getChangelogPath(index_key), true, function(err) {
+			// ignore error (changelog may not exist)
+			callback();
+		} );
+	},
+	
+	moveChangelog: function(old_key, new_key, callback) {
+		// move changelog from one index to another (for renameIndex)
+		var self = this;
+		delete this.changeSeqs[old_key];
+		delete this.changeSeqs[new_key];
+		
+		this.storage.listRename( this.getChangelogPath(old_key), this.getChangelogPath(new_key), function(err) {
+			// ignore error (changelog may not exist)
+			callback();
+		} );
+	}
+	
+}); // class
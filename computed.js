@@ -0,0 +1,77 @@
+// PixlServer Unbase Computed Field Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+module.exports = Class.create({
+	
+	computedFields: null,
+	
+	registerComputedField: function(name, handler) {
+		// register function which computes a field or sorter value from the entire record
+		// index configs refer to it by name: { id, compute: name }
+		// synchronous function - will throw
+		if (!name || (typeof(name) != 'string') || !name.match(/^\w+$/)) throw new Error("Invalid computed field name: " + name);
+		if (typeof(handler) != 'function') throw new Error("Invalid computed field function: " + name);
+		
+		if (!this.computedFields) this.computedFields = {};
+		this.computedFields[name] = handler;
+		
+		this.logDebug(5, "Registered computed field: " + name);
+	},
+	
+	validateComputedField: function(def) {
+		// make sure field or sorter compute function is registered, and point its source at the computed value
+		// return false for success, or error on failure
+		if (!("compute" in def)) return false;
+		
+		if (!def.compute || (typeof(def.compute) != 'string') || !this.computedFields || !this.computedFields[def.compute]) {
+			return new Error("Unknown computed field function: " + def.compute);
+		}
+		
+		def.source = '/_computed/' + def.compute;
+		return false;
+	},
+	
+	prepComputedSources: function(index) {
+		// point computed field and sorter sources at their computed values, for indexes bootstrapped from config
+		// functions are usually registered after startup, so they are not validated here (see computeRecord)
+		[].concat( index.fields || [], index.sorters || [] ).forEach( function(def) {
+			if (def.compute) def.source = '/_computed/' + def.compute;
+		} );
+	},
+	
+	computeRecord: function(index, record) {
+		// return copy of record with all computed values added, for indexing
+		// the stored record itself is never modified
+		var self = this;
+		if (!record || (typeof(record) != 'object')) return record;
+		
+		var defs = [].concat( index.fields || [], index.sorters || [] ).filter( function(def) { return !!def.compute; } );
+		if (!defs.length) return record;
+		
+		var values = {};
+		defs.forEach( function(def) {
+			if (def.compute in values) return;
+			var handler = self.computedFields ? self.computedFields[def.compute] : null;
+			
+			if (!handler) {
+				self.logError('computed', "Computed field function not registered: " + def.compute + " (for " + def.id + ")");
+				values[def.compute] = null;
+				return;
+			}
+			
+			try { values[def.compute] = handler(record); }
+			catch (err) {
+				self.logError('computed', "Computed field function failed: " + def.compute + ": " + err);
+				values[def.compute] = null;
+			}
+			if (typeof(values[def.compute]) == 'undefined') values[def.compute] = null;
+		} );
+		
+		return Tools.mergeHashes( record, { _computed: values } );
+	}
+	
+}); // class
@@ -0,0 +1,127 @@
+// PixlServer Unbase Config Drift Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	reconcileIndexes: function(callback) {
+		// compare bootstrapped config indexes against live ones, and warn, ignore or apply differences
+		// callback receives hash of all drifted index diffs, keyed by index ID
+		if (!callback) callback = noop;
+		var self = this;
+		var mode = this.config.get('drift_mode') || 'warn';
+		var config_indexes = this.config.get('indexes') || {};
+		var drift = {};
+		var last_err = null;
+		
+		for (var index_key in config_indexes) {
+			var def = config_indexes[index_key];
+			if (this.aliases[index_key]) continue;
+			
+			if (!this.indexes[index_key]) {
+				// new index added to config (i.e. after reload), bootstrap it now
+				this.logDebug(3, "Initializing index: " + index_key);
+				this.indexes[index_key] = Tools.copyHash( def, true );
+				this.indexes[index_key].base_path = this.basePath + '/index/' + index_key;
+				this.prepComputedSources( this.indexes[index_key] );
+				continue;
+			}
+			
+			var diff = this.diffConfigIndex( this.indexes[index_key], def );
+			if (diff) drift[index_key] = diff;
+		}
+		
+		if (!Tools.numKeys(drift) || (mode == 'ignore')) {
+			return process.nextTick( function() { callback(null, drift); } );
+		}
+		
+		if (mode != 'apply') {
+			for (var index_key in drift) {
+				this.logError('drift', "Index configuration differs from storage and will be ignored: " + index_key, drift[index_key]);
+			}
+			return process.nextTick( function() { callback(null, drift); } );
+		}
+		
+		async.eachSeries( Object.keys(drift),
+			function(index_key, callback) {
+				self.applyIndexDrift( index_key, config_indexes[index_key], drift[index_key], function(err) {
+					if (err) {
+						self.logError('drift', "Failed to apply index configuration: " + index_key + ": " + err);
+						last_err = err;
+					}
+					callback();
+				} );
+			},
+			function() {
+				callback( last_err, drift );
+			}
+		); // eachSeries
+	},
+	
+	diffConfigIndex: function(index, def) {
+		// diff live index against config definition, return false if identical
+		// only compare properties which are actually specified in the config
+		var diff = this.diffIndex( index, def );
+		
+		if (!("sorters" in def)) diff.sorters = { added: [], removed: [], changed: [] };
+		
+		for (var key in diff.props) {
+			if (!(key in def)) delete diff.props[key];
+		}
+		
+		var num_changes = Tools.numKeys(diff.props);
+		['fields', 'sorters'].forEach( function(key) {
+			num_changes += diff[key].added.length + diff[key].removed.length + diff[key].changed.length;
+		} );
+		
+		return num_changes ? diff : false;
+	},
+	
+	applyIndexDrift: function(index_key, def, diff, callback) {
+		// run management calls to bring live index in line with config definition
+		var self = this;
+		var meta = { source: 'config' };
+		var ops = [];
+		
+		this.logDebug(3, "Applying index configuration: " + index_key, diff);
+		
+		diff.fields.removed.forEach( function(field_id) {
+			ops.push( function(callback) { self.deleteField( index_key, field_id, meta, callback ); } );
+		} );
+		diff.fields.changed.forEach( function(field_id) {
+			var field = Tools.copyHash( Tools.findObject(def.fields, { id: field_id }), true );
+			ops.push( function(callback) { self.updateField( index_key, field, meta, callback ); } );
+		} );
+		diff.fields.added.forEach( function(field_id) {
+			var field = Tools.copyHash( Tools.findObject(def.fields, { id: field_id }), true );
+			ops.push( function(callback) { self.addField( index_key, field, meta, callback ); } );
+		} );
+		
+		diff.sorters.removed.forEach( function(sorter_id) {
+			ops.push( function(callback) { self.deleteSorter( index_key, sorter_id, meta, callback ); } );
+		} );
+		diff.sorters.changed.forEach( function(sorter_id) {
+			var sorter = Tools.copyHash( Tools.findObject(def.sorters, { id: sorter_id }), true );
+			ops.push( function(callback) { self.updateSorter( index_key, sorter, meta, callback ); } );
+		} );
+		diff.sorters.added.forEach( function(sorter_id) {
+			var sorter = Tools.copyHash( Tools.findObject(def.sorters, { id: sorter_id }), true );
+			ops.push( function(callback) { self.addSorter( index_key, sorter, meta, callback ); } );
+		} );
+		
+		if (Tools.numKeys(diff.props)) {
+			var updates = {};
+			for (var key in diff.props) updates[key] = JSON.parse( JSON.stringify(def[key]) );
+			ops.push( function(callback) { self.updateIndex( index_key, updates, meta, callback ); } );
+		}
+		
+		async.series( ops, function(err) { callback(err); } );
+	}
+	
+}); // class
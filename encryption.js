@@ -0,0 +1,352 @@
+// PixlServer Unbase Field Encryption Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var crypto = require('crypto');
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	encryptionPrefix: 'enc:v1:',
+	encryptionKeys: null,
+	encryptionKeyID: '',
+	
+	prepEncryptionKeys: function() {
+		// derive encryption keys from config (called from prepConfig)
+		// encryption_key is used for all new writes, old_encryption_keys are only used to decrypt
+		var self = this;
+		var active = this.config.get('encryption_key');
+		var secrets = [].concat( this.config.get('old_encryption_keys') || [], active ? [active] : [] );
+		
+		this.encryptionKeys = {};
+		this.encryptionKeyID = '';
+		
+		secrets.forEach( function(secret) {
+			var key = crypto.createHash('sha256').update( '' + secret ).digest();
+			var kid = crypto.createHash('sha256').update( key ).digest('hex').substring(0, 8);
+			self.encryptionKeys[kid] = key;
+			if (secret === active) self.encryptionKeyID = kid;
+		} );
+	},
+	
+	validateEncryption: function(index) {
+		// make sure index encrypted paths are kosher, and not used by any fields or sorters
+		// encrypted: [ "/path", ... ]
+		// return false for success, or error on failure
+		if (!("encrypted" in index) || !index.encrypted) return false;
+		var paths = index.encrypted;
+		
+		if (!Tools.isaArray(paths) || !paths.length) return new Error("Invalid index encrypted: Must be an array of record paths");
+		for (var idx = 0, len = paths.length; idx < len; idx++) {
+			if ((typeof(paths[idx]) != 'string') || !paths[idx].match(/^(\/[\w\-]+)+$/)) {
+				return new Error("Invalid index encrypted path: " + paths[idx] + ": Must be a simple path, e.g. /ssn");
+			}
+		}
+		if (!this.encryptionKeyID) return new Error("Invalid index encrypted: No encryption_key is configured");
+		
+		var defs = [].concat( index.fields || [], index.sorters || [] );
+		for (var idx = 0, len = defs.length; idx < len; idx++) {
+			var err = this.validateEncryptedSource( index, defs[idx] );
+			if (err) return err;
+		}
+		
+		return false;
+	},
+	
+	validateEncryptedSource: function(index, def) {
+		// make sure field or sorter source doesn't touch an encrypted path, as index data is stored in plaintext
+		// computed values are derived from the whole (decrypted) record, so they are not allowed at all
+		// return false for success, or error on failure
+		if (!index.encrypted) return false;
+		if (def.compute) return new Error("Invalid source for " + def.id + ": Computed fields and sorters cannot be used on indexes with encrypted paths");
+		if (!def.source) return false;
+		
+		// template sources may pull in several paths, e.g. "[/first] [/last]"
+		var sources = def.source.match(/\[.+\]/) ? (def.source.match(/\[[^\]]+\]/g) || []).map( function(m) { return m.replace(/^\[|\]$/g, ''); } ) : [ def.source ];
+		
+		for (var idx = 0, len = index.encrypted.length; idx < len; idx++) {
+			var path = index.encrypted[idx];
+			var overlap = sources.filter( function(source) {
+				return (source == path) || (source.indexOf(path + '/') == 0) || (path.indexOf(source + '/') == 0);
+			} );
+			if (overlap.length) return new Error("Invalid source for " + def.id + ": Cannot index encrypted path: " + path);
+		}
+		
+		return false;
+	},
+	
+	checkIndexEncryption: function(index_key) {
+		// make sure we can encrypt records for index, before writing anything
+		// return false for success, or error on failure
+		var index = this.indexes[index_key];
+		if (!index.encrypted || this.encryptionKeyID) return false;
+		return new Error("Index has encrypted paths, but no encryption_key is configured: " + index_key);
+	},
+	
+	isEncryptedValue: function(value) {
+		// check if value is an encrypted envelope
+		return (typeof(value) == 'string') && (value.indexOf(this.encryptionPrefix) == 0);
+	},
+	
+	encryptValue: function(value) {
+		// encrypt any JSON value with the active key (AES-256-GCM)
+		// returns string envelope: enc:v1:KEY_ID:IV:TAG:DATA
+		var iv = crypto.randomBytes(12);
+		var cipher = crypto.createCipheriv( 'aes-256-gcm', this.encryptionKeys[ this.encryptionKeyID ], iv );
+		var data = Buffer.concat([ cipher.update( JSON.stringify(value), 'utf8' ), cipher.final() ]);
+		
+		return this.encryptionPrefix + [ this.encryptionKeyID, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64') ].join(':');
+	},
+	
+	decryptValue: function(value) {
+		// decrypt envelope back into original JSON value
+		// synchronous function - will throw
+		var parts = value.substring( this.encryptionPrefix.length ).split(':');
+		var key = this.encryptionKeys[ parts[0] ];
+		if (!key) throw new Error("Unknown encryption key: " + parts[0]);
+		
+		var decipher = crypto.createDecipheriv( 'aes-256-gcm', key, Buffer.from(parts[1], 'base64') );
+		decipher.setAuthTag( Buffer.from(parts[2], 'base64') );
+		var data = Buffer.concat([ decipher.update( Buffer.from(parts[3], 'base64') ), decipher.final() ]);
+		
+		return JSON.parse( data.toString('utf8') );
+	},
+	
+	encryptRecord: function(index, record) {
+		// return copy of record with all encrypted paths encrypted, for storage
+		// values which are already encrypted are left alone
+		var self = this;
+		if (!index.encrypted || !record || (typeof(record) != 'object')) return record;
+		record = Tools.copyHash( record, true );
+		
+		index.encrypted.forEach( function(path) {
+			var value = Tools.getPath( record, path );
+			if ((value === undefined) || (value === null) || self.isEncryptedValue(value)) return;
+			Tools.setPath( record, path, self.encryptValue(value) );
+		} );
+		
+		return record;
+	},
+	
+	decryptRecord: function(index, record) {
+		// return copy of record with all encrypted paths decrypted, after loading from storage
+		// values which fail to decrypt are logged and left encrypted (so they are never lost on rewrite)
+		var self = this;
+		if (!index || !index.encrypted || !record || (typeof(record) != 'object')) return record;
+		record = Tools.copyHash( record, true );
+		
+		index.encrypted.forEach( function(path) {
+			var value = Tools.getPath( record, path );
+			if (!self.isEncryptedValue(value)) return;
+			
+			try { Tools.setPath( record, path, self.decryptValue(value) ); }
+			catch (err) {
+				self.logError('encryption', "Failed to decrypt record path: " + path + ": " + err);
+			}
+		} );
+		
+		return record;
+	},
+	
+	needsKeyRotation: function(index, record) {
+		// check if record has any plaintext or old-key values at encrypted paths
+		var self = this;
+		if (!index.encrypted || !record) return false;
+		
+		return index.encrypted.some( function(path) {
+			var value = Tools.getPath( record, path );
+			if ((value === undefined) || (value === null)) return false;
+			if (!self.isEncryptedValue(value)) return true;
+			return value.substring( self.encryptionPrefix.length ).split(':')[0] != self.encryptionKeyID;
+		} );
+	},
+	
+	rotateEncryptionKey: function(index_key, callback) {
+		// re-encrypt all records, trashed records, record history and changelog data with the active key, as a background job
+		// also encrypts existing plaintext values (i.e. after adding new encrypted paths)
+		// callback receives number of items rewritten
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		if (!index.encrypted) return callback( new Error("Index has no encrypted paths: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write') || this.checkIndexEncryption(index_key);
+		if (err) return callback(err);
+		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
+		
+		var job = this.createJob({ title: "Rotating encryption key: " + index_key, index: index_key });
+		var num_rotated = 0;
+		var record_idx = 0;
+		var all_record_ids = [];
+		var trash_ids = [];
+		
+		var total = 0;
+		
+		this.logDebug(5, "Rotating encryption key for index: " + index_key);
+		
+		async.series(
+			[
+				function(callback) {
+					self.getAllRecordIDs( index_key, function(err, ids) {
+						// ignore error (will just be empty list)
+						all_record_ids = ids;
+						callback();
+					} );
+				},
+				function(callback) {
+					self.listTrash( index_key, function(err, items) {
+						// ignore error (trash may be empty)
+						trash_ids = (items || []).map( function(item) { return item.id; } );
+						total = all_record_ids.length + trash_ids.length;
+						callback();
+					} );
+				},
+				function(callback) {
+					// rewrite live records and their history, inside the record lock
+					async.eachSeries( all_record_ids,
+						function(record_id, callback) {
+							var data_path = self.basePath + '/records/' + index_key + '/' + record_id;
+							
+							self.storage.lock( data_path, true, function() {
+								self.rotateRecord( index_key, record_id, data_path, function(err, num) {
+									self.storage.unlock( data_path );
+									num_rotated += num || 0;
+									
+									// update job progress
+									record_idx++;
+									self.updateJob(job, { progress: record_idx / total });
+									
+									callback(err);
+								} );
+							} );
+						},
+						callback
+					); // eachSeries
+				},
+				function(callback) {
+					// rewrite trashed records and their history
+					async.eachSeries( trash_ids,
+						function(record_id, callback) {
+							self.rotateRecord( index_key, record_id, self.getTrashPath(index_key, record_id), function(err, num) {
+								num_rotated += num || 0;
+								
+								// update job progress
+								record_idx++;
+								self.updateJob(job, { progress: record_idx / total });
+								
+								callback(err);
+							} );
+						},
+						callback
+					); // eachSeries
+				},
+				function(callback) {
+					// rewrite changelog data
+					self.rotateChangelog( index_key, function(err, num) {
+						num_rotated += num || 0;
+						callback(err);
+					} );
+				}
+			],
+			function(err) {
+				// job finished
+				self.finishJob(job);
+				self.logDebug(5, "Key rotation complete for index: " + index_key + ": " + num_rotated + " items rewritten");
+				callback( err, num_rotated );
+			}
+		); // series
+		
+		return job;
+	},
+	
+	reencryptRecord: function(index, record) {
+		// return copy of stored record with all encrypted paths encrypted with the active key
+		return this.encryptRecord( index, this.decryptRecord(index, record) );
+	},
+	
+	rotateChangelog: function(index_key, callback) {
+		// re-encrypt record data in index changelog entries, where needed, one page at a time
+		// callback receives number of entries rewritten
+		var self = this;
+		var index = this.indexes[index_key];
+		if (!index.changelog) return process.nextTick( function() { callback(null, 0); } );
+		
+		var path = this.getChangelogPath(index_key);
+		var lock_key = 'changelog|' + path;
+		var num_rotated = 0;
+		
+		// same lock as appendChange and compactChanges, so entries can't shift underneath us
+		this.storage.lock( lock_key, true, function() {
+			self.storage.listEachPageUpdate( path, function(items, callback) {
+				var updated = false;
+				
+				items.forEach( function(item, idx) {
+					if (!item.data || !self.needsKeyRotation(index, item.data)) return;
+					items[idx] = Tools.mergeHashes( item, { data: self.reencryptRecord(index, item.data) } );
+					num_rotated++;
+					updated = true;
+				} );
+				
+				callback( null, updated );
+			},
+			function(err) {
+				self.storage.unlock( lock_key );
+				if (err && (err.code == 'NoSuchKey')) err = null;
+				if (err) self.logError('encryption', "Failed to rotate changelog: " + index_key + ": " + err);
+				callback( err, num_rotated );
+			} ); // listEachPageUpdate
+		} ); // lock
+	},
+	
+	rotateRecord: function(index_key, record_id, data_path, callback) {
+		// re-encrypt stored record (live or trashed) and all its previous versions, where needed
+		// callback receives number of items rewritten
+		var self = this;
+		var index = this.indexes[index_key];
+		var history_path = this.getRecordHistoryPath(index_key, record_id);
+		var num_rotated = 0;
+		
+		var rotate = function(record) {
+			return self.reencryptRecord( index, record );
+		};
+		
+		async.series([
+			function(callback) {
+				self.storage.get( data_path, function(err, record_data) {
+					if (err && (err.code == 'NoSuchKey')) return callback();
+					if (err) return callback(err);
+					if (!self.needsKeyRotation(index, record_data)) return callback();
+					
+					num_rotated++;
+					self.storage.put( data_path, rotate(record_data), callback );
+				} );
+			},
+			function(callback) {
+				if (!index.record_history) return process.nextTick( callback );
+				
+				self.storage.listGet( history_path, 0, 0, function(err, items) {
+					// ignore error (record may have no history)
+					items = items || [];
+					if (!items.some( function(item) { return self.needsKeyRotation(index, item.data); } )) return callback();
+					
+					items = items.map( function(item) {
+						return item.data ? Tools.mergeHashes( item, { data: rotate(item.data) } ) : item;
+					} );
+					
+					num_rotated++;
+					self.storage.listSplice( history_path, 0, items.length, items, callback );
+				} );
+			}
+		],
+		function(err) {
+			if (err) self.logError('encryption', "Failed to rotate record: " + index_key + '/' + record_id + ": " + err);
+			callback( err, num_rotated );
+		}); // series
+	}
+	
+}); // class
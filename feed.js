@@ -0,0 +1,105 @@
+// PixlServer Unbase Change Feed
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	__name: "UnbaseFeed",
+	
+	id: null,
+	seq: 0,
+	limit: 0,
+	reading: false,
+	pending: false,
+	stopped: false,
+	
+	__construct: function(opts) {
+		// class constructor
+		// opts: { index_key, seq, limit }
+		Tools.mergeHashInto( this, opts || {} );
+		
+		// prevent 'error' events from crashing node
+		this.on('error', noop);
+	},
+	
+	init: function(server) {
+		// initialize and attach to server
+		this.server = server;
+		this.logger = server.logger;
+		this.storage = server.Storage;
+		this.unbase = server.Unbase;
+		
+		this.logDebug(6, "Following changes since: " + this.seq);
+	},
+	
+	read: function() {
+		// read next chunk of changes and emit them, repeating until caught up
+		// calls arriving mid-read are coalesced into one more read
+		var self = this;
+		if (this.stopped) return;
+		if (this.reading) { this.pending = true; return; }
+		
+		this.reading = true;
+		this.pending = false;
+		
+		this.unbase.readChanges( this.index_key, this.seq, this.limit, function(err, data) {
+			self.reading = false;
+			if (self.stopped) return;
+			
+			if (err) {
+				self.logError('changelog', "Failed to read changes: " + err);
+				self.emit('error', err);
+				self.stop();
+				return;
+			}
+			
+			data.changes.forEach( function(change) {
+				if (self.stopped) return;
+				self.seq = change.seq;
+				self.emit('change', change);
+			} );
+			
+			// keep going if there is more to read, otherwise wait for the next change
+			if (self.pending || (data.last_seq < data.max_seq)) self.read();
+			else self.emit('idle', { seq: self.seq });
+		} );
+	},
+	
+	stop: function() {
+		// client is done with us
+		if (this.stopped) return;
+		this.logDebug(6, "Stopping change feed at: " + this.seq);
+		this.stopped = true;
+		this.unbase.removeFeed(this);
+		this.emit('stop', { seq: this.seq });
+	},
+	
+	debugLevel: function(level) {
+		// check if we're logging at or above the requested level
+		return (this.logger.get('debugLevel') >= level);
+	},
+	
+	logDebug: function(level, msg, data) {
+		// proxy request to system logger with correct component
+		if (!data) data = {};
+		data.id = this.id;
+		data.index = this.index_key;
+		this.logger.set( 'component', this.__name );
+		this.logger.debug( level, msg, data );
+	},
+	
+	logError: function(code, msg, data) {
+		// proxy request to system logger with correct component
+		if (!data) data = {};
+		data.id = this.id;
+		data.index = this.index_key;
+		this.logger.set( 'component', this.__name );
+		this.logger.error( code, msg, data );
+	}
+	
+}); // class
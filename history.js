@@ -0,0 +1,208 @@
+// PixlServer Unbase Index History Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var stringify = require('json-stable-stringify');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	saveIndex: function(index_key, meta, callback) {
+		// save index definition to storage, and append new version to history
+		// meta: { action, [id], [username], [note] }
+		var self = this;
+		var index = this.indexes[index_key];
+		
+		index.version = (index.version || 0) + 1;
+		
+		var item = Tools.mergeHashes( meta || {}, {
+			version: index.version,
+			date: Tools.timeNow(true),
+			index: this.getIndexSnapshot(index)
+		} );
+		
+		this.storage.hashPut( this.basePath + '/indexes', index_key, index, function(err) {
+			if (err) return callback(err);
+			self.storage.listPush( self.basePath + '/index_history/' + index_key, item, callback );
+		} );
+	},
+	
+	getIndexSnapshot: function(index) {
+		// deep copy index definition, minus internal and transient properties
+		var snapshot = Tools.copyHash( index, true );
+		delete snapshot.base_path;
+		delete snapshot.version;
+		
+		(snapshot.fields || []).forEach( function(def) { delete def.delete; } );
+		(snapshot.sorters || []).forEach( function(sorter) { delete sorter.delete; } );
+		
+		return snapshot;
+	},
+	
+	getIndexHistory: function(index_key, callback) {
+		// get all versions of index definition, oldest first
+		index_key = this.resolveIndexKey(index_key);
+		if (!this.indexes[index_key]) return callback( new Error("Index not found: " + index_key) );
+		
+		this.storage.listGet( this.basePath + '/index_history/' + index_key, 0, 0, function(err, items) {
+			// ignore error (list may not exist for bootstrapped indexes)
+			callback( null, items || [] );
+		} );
+	},
+	
+	rollbackIndex: function(index_key, version, meta, callback) {
+		// roll index definition back to specified version, reindexing as needed
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
+		
+		meta = Tools.mergeHashes( meta || {}, { action: 'rollbackIndex', id: version } );
+		
+		this.getIndexHistory( index_key, function(err, items) {
+			var item = Tools.findObject( items, { version: parseInt(version) } );
+			if (!item) return callback( new Error("Index version not found: " + index_key + ": " + version) );
+			
+			var target = Tools.copyHash( item.index, true );
+			var diff = self.diffIndex( index, target );
+			
+			self.logDebug(3, "Rolling back index: " + index_key + " to version " + version, diff);
+			
+			// apply non-field properties (remove words, schema, etc.)
+			var apply_props = function() {
+				for (var key in index) {
+					if (!key.match(/^(base_path|version|fields|sorters)$/) && !(key in target)) delete index[key];
+				}
+				for (var key in target) {
+					if (!key.match(/^(base_path|version|fields|sorters)$/)) index[key] = target[key];
+				}
+				if (diff.props.remove_words && self.storage.removeWordCache) {
+					delete self.storage.removeWordCache[ index.base_path ];
+				}
+			};
+			
+			var need_delete = diff.fields.removed.length || diff.fields.changed.length || diff.sorters.removed.length;
+			var need_index = diff.fields.added.length || diff.fields.changed.length || diff.sorters.added.length || diff.sorters.changed.length;
+			
+			if (!need_delete && !need_index) {
+				// no reindex required, just save
+				apply_props();
+				return self.saveIndex( index_key, meta, callback );
+			}
+			
+			var job = self.createJob({ title: "Rolling back index: " + index_key + " to version " + version, index: index_key });
+			var num_records = 0;
+			var record_idx = 0;
+			var all_record_ids = [];
+			var num_passes = (need_delete && need_index) ? 2 : 1;
+			
+			var reindex_all = function(callback) {
+				async.eachSeries( all_record_ids,
+					function(record_id, callback) {
+						self.getRecord( index_key, record_id, function(err, record_data) {
+							self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
+								if (err) return callback(err);
+								
+								// update job progress
+								record_idx++;
+								self.updateJob(job, { progress: record_idx / (num_records * num_passes) });
+								
+								callback();
+							} ); // indexRecord
+						} ); // getRecord
+					},
+					callback
+				); // eachSeries
+			};
+			
+			async.series(
+				[
+					function(callback) {
+						// get all record ids
+						self.getAllRecordIDs( index_key, function(err, ids) {
+							// ignore error (will just be empty list)
+							all_record_ids = ids;
+							num_records = ids.length;
+							callback();
+						} );
+					},
+					function(callback) {
+						// trigger deletes on removed and changed fields, and removed sorters
+						if (!need_delete) return process.nextTick( callback );
+						
+						diff.fields.removed.concat( diff.fields.changed ).forEach( function(field_id) {
+							Tools.findObject( index.fields, { id: field_id } ).delete = true;
+						} );
+						diff.sorters.removed.forEach( function(sorter_id) {
+							Tools.findObject( index.sorters, { id: sorter_id } ).delete = true;
+						} );
+						
+						reindex_all( callback );
+					},
+					function(callback) {
+						// swap in target definition and save index
+						apply_props();
+						index.fields = target.fields;
+						index.sorters = target.sorters;
+						self.saveIndex( index_key, meta, callback );
+					},
+					function(callback) {
+						// index added and changed fields and sorters
+						if (!need_index) return process.nextTick( callback );
+						reindex_all( callback );
+					}
+				],
+				function(err) {
+					// job finished
+					self.finishJob(job);
+					callback(err);
+				}
+			); // series
+		} ); // getIndexHistory
+	},
+	
+	diffIndex: function(old_index, new_index) {
+		// compute field, sorter and property differences between two index definitions
+		var diff = { fields: {}, sorters: {}, props: {} };
+		
+		var sig = function(def) {
+			// strip transient flags, and account for properties the indexer adds on its own
+			var copy = Tools.copyHashRemoveKeys( def, { delete: 1 } );
+			if (copy.type && copy.type.match(/^(date|number)$/)) copy.master_list = 1;
+			if (copy.compute) delete copy.source;
+			return stringify(copy);
+		};
+		
+		['fields', 'sorters'].forEach( function(key) {
+			var old_defs = old_index[key] || [];
+			var new_defs = new_index[key] || [];
+			var result = diff[key] = { added: [], removed: [], changed: [] };
+			
+			old_defs.forEach( function(old_def) {
+				var new_def = Tools.findObject( new_defs, { id: old_def.id } );
+				if (!new_def) result.removed.push( old_def.id );
+				else if (sig(old_def) != sig(new_def)) result.changed.push( old_def.id );
+			} );
+			
+			new_defs.forEach( function(new_def) {
+				if (!Tools.findObject( old_defs, { id: new_def.id } )) result.added.push( new_def.id );
+			} );
+		} );
+		
+		var keys = Tools.mergeHashes( old_index, new_index );
+		for (var key in keys) {
+			if (key.match(/^(base_path|version|fields|sorters)$/)) continue;
+			if (stringify(old_index[key]) !== stringify(new_index[key])) diff.props[key] = 1;
+		}
+		
+		return diff;
+	}
+	
+}); // class
@@ -0,0 +1,78 @@
+// PixlServer Unbase Write Hook Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+
+module.exports = Class.create({
+	
+	hookTypes: { beforeInsert: 1, afterInsert: 1, beforeUpdate: 1, afterUpdate: 1, beforeDelete: 1, afterDelete: 1 },
+	hooks: null,
+	
+	hook: function(type, index_key, handler) {
+		// register write hook for index (or '*' for all indexes)
+		// handler is called with (context, callback) from inside the record lock
+		// synchronous function - will throw
+		if (!this.hookTypes[type]) throw new Error("Unknown hook type: " + type);
+		if (!index_key || (typeof(index_key) != 'string')) throw new Error("Invalid hook index: " + index_key);
+		if (typeof(handler) != 'function') throw new Error("Invalid hook function for: " + type);
+		
+		if (!this.hooks) this.hooks = {};
+		if (!this.hooks[type]) this.hooks[type] = [];
+		this.hooks[type].push({ index: index_key, handler: handler });
+		
+		this.logDebug(5, "Registered " + type + " hook for: " + index_key);
+	},
+	
+	unhook: function(type, index_key, handler) {
+		// remove previously registered write hook
+		if (!this.hooks || !this.hooks[type]) return;
+		
+		this.hooks[type] = this.hooks[type].filter( function(hook) {
+			return (hook.index != index_key) || (hook.handler !== handler);
+		} );
+	},
+	
+	getHooks: function(type, index_key) {
+		// get all hooks of type which apply to index (aliases are resolved at call time)
+		var self = this;
+		if (!this.hooks || !this.hooks[type]) return [];
+		
+		return this.hooks[type].filter( function(hook) {
+			return (hook.index == '*') || (self.resolveIndexKey(hook.index) == index_key);
+		} );
+	},
+	
+	runHooks: function(type, index_key, context, args, callback) {
+		// run all applicable hooks in series, in the order they were registered
+		// before hooks may modify context.data, or veto the operation by passing an error
+		// after hooks cannot veto (the write has happened), so their errors are only logged
+		// call this from inside the record lock
+		var self = this;
+		var hooks = (args.hooks === false) ? [] : this.getHooks(type, index_key);
+		if (!hooks.length) return process.nextTick( callback );
+		var is_before = !!type.match(/^before/);
+		
+		async.eachSeries( hooks,
+			function(hook, callback) {
+				hook.handler.call( self, context, function(err) {
+					if (err && !is_before) {
+						self.logError('hook', "Hook failed: " + type + ": " + index_key + '/' + context.id + ": " + err);
+						err = null;
+					}
+					callback(err);
+				} );
+			},
+			function(err) {
+				if (err) {
+					if (!(err instanceof Error)) err = new Error("" + err);
+					if (!err.code) err.code = 'HookRejected';
+					self.logDebug(6, "Write rejected by " + type + " hook: " + index_key + '/' + context.id + ": " + err);
+				}
+				callback(err);
+			}
+		); // eachSeries
+	}
+	
+}); // class
@@ -0,0 +1,79 @@
+// PixlServer Unbase Record ID Generator Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var os = require('os');
+var crypto = require('crypto');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+module.exports = Class.create({
+	
+	idSuffix: '',
+	
+	registerIDGenerator: function(id_type, handler) {
+		// register custom record id generator, for use with index id_type
+		// handler is called as: handler(index_key, callback), and should fire callback(err, id)
+		this['generateID_' + id_type] = handler;
+	},
+	
+	generateRecordID: function(index_key, callback) {
+		// generate new record id using index id_type (defaults to time-sortable)
+		var index = this.indexes[index_key];
+		var id_type = index.id_type || 'time';
+		var handler = this['generateID_' + id_type];
+		if (!handler) return callback( new Error("Unknown record ID type: " + id_type) );
+		
+		handler.call( this, index_key, function(err, record_id) {
+			if (err) return callback(err);
+			if (!record_id) return callback( new Error("Record ID generator returned empty ID: " + id_type) );
+			callback( null, '' + record_id );
+		} );
+	},
+	
+	generateID_time: function(index_key, callback) {
+		// time-sortable id, with a per-process suffix so multiple servers never collide
+		if (!this.idSuffix) {
+			this.idSuffix = Tools.digestHex( os.hostname() + '|' + process.pid + '|' + Math.random(), 'md5' ).substring(0, 4);
+		}
+		callback( null, this.getUniqueID('') + this.idSuffix );
+	},
+	
+	generateID_uuid: function(index_key, callback) {
+		// random RFC 4122 version 4 UUID
+		var bytes = crypto.randomBytes(16);
+		bytes[6] = (bytes[6] & 0x0f) | 0x40;
+		bytes[8] = (bytes[8] & 0x3f) | 0x80;
+		
+		var hex = bytes.toString('hex');
+		callback( null, [ hex.substring(0, 8), hex.substring(8, 12), hex.substring(12, 16), hex.substring(16, 20), hex.substring(20) ].join('-') );
+	},
+	
+	generateID_counter: function(index_key, callback) {
+		// auto-incrementing integer id, stored per index
+		var self = this;
+		var path = this.getCounterPath(index_key);
+		
+		this.storage.lock( path, true, function() {
+			self.storage.get( path, function(err, data) {
+				if (err && (err.code != 'NoSuchKey')) {
+					self.storage.unlock( path );
+					return callback(err);
+				}
+				
+				var value = (data ? data.value : 0) + 1;
+				
+				self.storage.put( path, { value: value }, function(err) {
+					self.storage.unlock( path );
+					callback( err, value );
+				} );
+			} );
+		} ); // lock
+	},
+	
+	getCounterPath: function(index_key) {
+		// get storage path to record id counter for index
+		return this.basePath + '/counters/' + index_key;
+	}
+	
+}); // class
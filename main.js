@@ -13,6 +13,29 @@ var Component = require("pixl-server/component");
 var View = require("./view.js");
 var SummaryView = require("./summary.js");
 var Subscriber = require("./subscriber.js");
+var Schema = require("./schema.js");
+var Alias = require("./alias.js");
+var History = require("./history.js");
+var Drift = require("./drift.js");
+var Stats = require("./stats.js");
+var Verify = require("./verify.js");
+var TTL = require("./ttl.js");
+var Cap = require("./cap.js");
+var Mode = require("./mode.js");
+var IDs = require("./ids.js");
+var Rev = require("./rev.js");
+var Versions = require("./versions.js");
+var Trash = require("./trash.js");
+var Operators = require("./operators.js");
+var ByQuery = require("./byquery.js");
+var Projection = require("./projection.js");
+var Batch = require("./batch.js");
+var References = require("./references.js");
+var Computed = require("./computed.js");
+var Hooks = require("./hooks.js");
+var Changelog = require("./changelog.js");
+var Attachments = require("./attachments.js");
+var Encryption = require("./encryption.js");
 
 function noop() {};
 
@@ -20,12 +43,13 @@ module.exports = Class.create({
 	
 	__name: 'Unbase',
 	__parent: Component,
-	__mixins: [],
+	__mixins: [ Schema, Alias, History, Drift, Stats, Verify, TTL, Cap, Mode, IDs, Rev, Versions, Trash, Operators, ByQuery, Projection, Batch, References, Computed, Hooks, Changelog, Attachments, Encryption ],
 	
 	version: require('./package.json').version,
 	
 	defaultConfig: {
-		base_path: 'unbase'
+		base_path: 'unbase',
+		drift_mode: 'warn'
 	},
 	
 	indexes: null,
@@ -43,18 +67,34 @@ module.exports = Class.create({
 		
 		// cache some config values, and listen for config refresh
 		this.prepConfig();
-		this.config.on('reload', this.prepConfig.bind(this) );
+		this.config.on('reload', function() {
+			self.prepConfig();
+			self.reconcileIndexes();
+		} );
 		
-		// keep track of async jobs and views
+		// keep track of async jobs, views and aliases
 		this.jobs = {};
 		this.views = {};
+		this.aliases = {};
+		this.expireStats = { sweeps: 0, expired: 0, last_sweep: 0, indexes: {} };
+		this.evicting = {};
+		this.changeSeqs = {};
+		this.feeds = {};
 		
 		// allow config to bootstrap indexes
-		this.indexes = this.config.get('indexes') || {};
+		// (use a copy, so we can compare against config later)
+		this.indexes = Tools.copyHash( this.config.get('indexes') || {}, true );
 		
 		// but also load from storage hash
 		this.storage.hashGetAll( this.basePath + '/indexes', function(err, items) {
 			if (items) {
+				// aliases share the hash with indexes, so split them out
+				for (var key in items) {
+					if (items[key].alias) {
+						self.aliases[key] = items[key].alias;
+						delete items[key];
+					}
+				}
 				Tools.mergeHashInto( self.indexes, items );
 			}
 			
@@ -62,8 +102,18 @@ module.exports = Class.create({
 				var index = self.indexes[index_key];
 				self.logDebug(3, "Initializing index: " + index_key);
 				index.base_path = self.basePath + '/index/' + index_key;
+				self.prepComputedSources(index);
 			}
 			
+			// check for config drift (apply mode runs in background)
+			self.reconcileIndexes();
+			
+			// sweep expired records and compact changelogs every minute
+			self.server.on('minute', function() {
+				self.sweepExpired();
+				self.compactAllChanges();
+			} );
+			
 			callback();
 		});
 	},
@@ -71,6 +121,7 @@ module.exports = Class.create({
 	prepConfig: function() {
 		// save some config values
 		this.basePath = this.config.get('base_path');
+		this.prepEncryptionKeys();
 	},
 	
 	_uniqueIDCounter: 0,
@@ -132,11 +183,12 @@ module.exports = Class.create({
 	
 	countIndexJobs: function(index_key) {
 		// count number of active jobs for specific index
+		// read-only jobs (stats, verify without repair) and housekeeping jobs (eviction) don't count, as they never block writes
 		var count = 0;
 		
 		for (var key in this.jobs) {
 			var job = this.jobs[key];
-			if (job.index == index_key) count++;
+			if ((job.index == index_key) && !job.readonly && !job.housekeeping) count++;
 		}
 		
 		return count;
@@ -145,6 +197,7 @@ module.exports = Class.create({
 	getAllRecordIDs: function(index_key, callback) {
 		// get ALL record ids in memory (use array, not hash)
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		var ids = [];
@@ -162,15 +215,17 @@ module.exports = Class.create({
 	},
 	
 	getIndex: function(index_key) {
-		// get index by ID
-		return this.indexes[index_key];
+		// get index by ID (or alias)
+		return this.indexes[ this.resolveIndexKey(index_key) ];
 	},
 	
-	createIndex: function(index_key, index, callback) {
+	createIndex: function(index_key, index, meta, callback) {
 		// create new index
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
 		if (!callback) callback = noop;
 		var self = this;
 		if (this.indexes[index_key]) return callback( new Error("Index already exists: " + index_key) );
+		if (this.aliases[index_key]) return callback( new Error("Alias already exists: " + index_key) );
 		
 		// some basic validation
 		if (!index || !index.fields || !index.fields.length) {
@@ -186,7 +241,7 @@ module.exports = Class.create({
 			if (!def.id || !def.id.match(/^\w+$/)) {
 				return callback( new Error("Invalid index field ID: " + def.id) );
 			}
-			if (def.id.match(/^(_id|_data|_sorters)$/)) {
+			if (def.id.match(/^(_id|_data|_sorters|_history|_history_ids|_changes)$/)) {
 				if (callback) callback( new Error("Invalid index field ID: " + def.id) );
 				return;
 			}
@@ -198,21 +253,45 @@ module.exports = Class.create({
 			if (def.filter && !this.storage['filterWords_' + def.filter]) {
 				return callback( new Error("Invalid index filter: " + def.filter) );
 			}
+			
+			var err = this.validateFieldReference(def) || this.validateComputedField(def);
+			if (err) return callback(err);
 		} // foreach def
 		
-		// take over base_path
+		for (var idx = 0, len = (index.sorters || []).length; idx < len; idx++) {
+			var err = this.validateComputedField( index.sorters[idx] );
+			if (err) return callback(err);
+		}
+		
+		if (index.schema) {
+			var err = this.validateSchema(index.schema);
+			if (err) return callback(err);
+		}
+		
+		var err = this.validateTTL(index) || this.validateCap(index) || this.validateRecordHistory(index) || this.validateChangelog(index) || this.validateEncryption(index);
+		if (err) return callback(err);
+		
+		if (index.id_type && !this['generateID_' + index.id_type]) {
+			return callback( new Error("Invalid index id_type: " + index.id_type) );
+		}
+		
+		// take over base_path, and start version history
 		index.base_path = this.basePath + '/index/' + index_key;
+		delete index.version;
+		meta = Tools.mergeHashes( meta || {}, { action: 'createIndex' } );
 		
 		this.logDebug(3, "Creating new index: " + index_key, index);
 		
 		this.indexes[index_key] = index;
-		this.storage.hashPut( this.basePath + '/indexes', index_key, index, callback );
+		this.saveIndex( index_key, meta, callback );
 	},
 	
-	updateIndex: function(index_key, updates, callback) {
+	updateIndex: function(index_key, updates, meta, callback) {
 		// update existing index
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
@@ -222,7 +301,37 @@ module.exports = Class.create({
 			return callback( new Error("Invalid index update object: Cannot update fields or sorters using updateIndex.") );
 		}
 		if (updates.base_path) delete updates.base_path;
+		if (updates.version) delete updates.version;
+		
+		if (updates.schema) {
+			var err = this.validateSchema(updates.schema);
+			if (err) return callback(err);
+		}
+		if (updates.ttl) {
+			var err = this.validateTTL( Tools.mergeHashes(index, updates) );
+			if (err) return callback(err);
+		}
+		if (updates.max_records || updates.evict_sorter) {
+			var err = this.validateCap( Tools.mergeHashes(index, updates) );
+			if (err) return callback(err);
+		}
+		if (updates.record_history) {
+			var err = this.validateRecordHistory(updates);
+			if (err) return callback(err);
+		}
+		if (updates.changelog) {
+			var err = this.validateChangelog(updates);
+			if (err) return callback(err);
+		}
+		if (updates.encrypted) {
+			var err = this.validateEncryption( Tools.mergeHashes(index, updates) );
+			if (err) return callback(err);
+		}
+		if (updates.id_type && !this['generateID_' + updates.id_type]) {
+			return callback( new Error("Invalid index id_type: " + updates.id_type) );
+		}
 		
+		meta = Tools.mergeHashes( meta || {}, { action: 'updateIndex', id: Object.keys(updates).join(', ') } );
 		this.logDebug(3, "Updating index: " + index_key, updates);
 		
 		for (var key in updates) {
@@ -233,17 +342,31 @@ module.exports = Class.create({
 			delete this.storage.removeWordCache[ index.base_path ];
 		}
 		
-		this.storage.hashPut( this.basePath + '/indexes', index_key, index, callback );
+		this.saveIndex( index_key, meta, function(err) {
+			if (err) return callback(err);
+			
+			// lowering the cap evicts records right away
+			if (!updates.max_records) return callback();
+			self.enforceCap( index_key, function(err) { callback(err); } );
+		} );
 	},
 	
-	deleteIndex: function(index_key, callback) {
+	deleteIndex: function(index_key, opts, callback) {
 		// delete index and all record data
+		// opts: { trash? } (defaults to index soft_delete setting)
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
 		if (!callback) callback = noop;
 		var self = this;
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write');
+		if (err) return callback(err);
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
 		
+		var aliases = this.getAliases(index_key);
+		if (aliases.length) return callback( new Error("Index is aliased: " + index_key + " (" + aliases.join(', ') + ")") );
+		
 		// abort all index's active views here
 		if (this.views[index_key]) {
 			for (var search_id in this.views[index_key]) {
@@ -252,6 +375,7 @@ module.exports = Class.create({
 			}
 		}
 		
+		var trash = ("trash" in opts) ? !!opts.trash : !!index.soft_delete;
 		var job = this.createJob({ title: "Deleting index: " + index_key, index: index_key });
 		var num_records = 0;
 		var record_idx = 0;
@@ -274,7 +398,7 @@ module.exports = Class.create({
 					// remove all records
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
-							self.delete( index_key, record_id, function(err) {
+							self.delete( { index: index_key, id: record_id, history: false, trash: trash, references: false, hooks: false, changelog: false }, function(err) {
 								if (err) return callback(err);
 								
 								// update job progress
@@ -287,10 +411,277 @@ module.exports = Class.create({
 						callback
 					); // eachSeries
 				},
+				function(callback) {
+					// delete record version history
+					self.deleteRecordHistory( index_key, callback );
+				},
+				function(callback) {
+					// delete changelog
+					self.deleteChangelog( index_key, callback );
+				},
 				function(callback) {
 					// finally, delete index
 					delete self.indexes[index_key];
 					self.storage.hashDelete( self.basePath + '/indexes', index_key, callback );
+				},
+				function(callback) {
+					// delete index history
+					self.storage.listDelete( self.basePath + '/index_history/' + index_key, true, function(err) {
+						// ignore error (bootstrapped indexes may have no history)
+						callback();
+					} );
+				},
+				function(callback) {
+					// delete record manifest
+					self.storage.hashDeleteAll( self.getManifestPath(index_key), true, function(err) {
+						// ignore error (manifest may not exist)
+						callback();
+					} );
+				},
+				function(callback) {
+					// delete record id counter
+					self.storage.delete( self.getCounterPath(index_key), function(err) {
+						// ignore error (counter may not exist)
+						callback();
+					} );
+				}
+			],
+			function(err) {
+				// job finished
+				self.finishJob(job);
+				callback(err);
+			}
+		); // series
+		
+		return job;
+	},
+	
+	cloneIndex: function(src_key, dest_key, opts, callback) {
+		// copy index config and all records (or only those matching query) into new index
+		// opts: { query? }
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
+		if (!callback) callback = noop;
+		var self = this;
+		src_key = this.resolveIndexKey(src_key);
+		var src_index = this.indexes[src_key];
+		if (!src_index) return callback( new Error("Index not found: " + src_key) );
+		if (this.indexes[dest_key]) return callback( new Error("Index already exists: " + dest_key) );
+		if (this.aliases[dest_key]) return callback( new Error("Alias already exists: " + dest_key) );
+		if (this.countIndexJobs(src_key)) return callback( new Error("Index is busy: " + src_key) );
+		
+		// validate query up front (will throw)
+		var query = '*';
+		if (opts.query) {
+			try { query = this.parseSearchQuery(src_key, opts.query).query; }
+			catch (err) { return callback(err); }
+		}
+		
+		// copy config, minus our internal bits
+		var dest_index = Tools.copyHash( src_index, true );
+		delete dest_index.base_path;
+		delete dest_index.mode;
+		
+		var job = this.createJob({ title: "Cloning index: " + src_key + " to " + dest_key, index: dest_key });
+		var num_records = 0;
+		var record_idx = 0;
+		var all_record_ids = [];
+		
+		async.series(
+			[
+				function(callback) {
+					// create new index
+					self.createIndex( dest_key, dest_index, callback );
+				},
+				function(callback) {
+					// copy record id counter, so generated ids don't collide with cloned ones
+					self.storage.copy( self.getCounterPath(src_key), self.getCounterPath(dest_key), function(err) {
+						// ignore error (counter may not exist)
+						callback();
+					} );
+				},
+				function(callback) {
+					// get all matching record ids
+					self.search( src_key, query, { ids: true }, function(err, data) {
+						if (err) return callback(err);
+						all_record_ids = data.records;
+						num_records = all_record_ids.length;
+						callback();
+					} );
+				},
+				function(callback) {
+					// copy all records
+					async.eachSeries( all_record_ids,
+						function(record_id, callback) {
+							self.getRecord( src_key, record_id, function(err, record_data) {
+								if (err) {
+									// record may have been deleted since the search
+									self.logDebug(5, "Skipping record during clone: " + src_key + '/' + record_id + ": " + err);
+									return callback();
+								}
+								
+								self.insert( { index: dest_key, id: record_id, data: record_data, hooks: false }, function(err) {
+									if (err) return callback(err);
+									
+									self.copyRecordAttachments( src_key, dest_key, record_id, record_data, false, function(err) {
+										if (err) return callback(err);
+										
+										// update job progress
+										record_idx++;
+										self.updateJob(job, { progress: record_idx / num_records });
+										
+										callback();
+									} ); // copyRecordAttachments
+								} ); // insert
+							} ); // getRecord
+						},
+						callback
+					); // eachSeries
+				}
+			],
+			function(err) {
+				// job finished
+				self.finishJob(job);
+				callback(err);
+			}
+		); // series
+		
+		return job;
+	},
+	
+	renameIndex: function(old_key, new_key, callback) {
+		// rename index, moving all record data and live views over
+		if (!callback) callback = noop;
+		var self = this;
+		var old_index = this.indexes[old_key];
+		if (!old_index) return callback( new Error("Index not found: " + old_key) );
+		var err = this.checkIndexMode(old_key, 'write');
+		if (err) return callback(err);
+		if (this.indexes[new_key]) return callback( new Error("Index already exists: " + new_key) );
+		if (this.aliases[new_key]) return callback( new Error("Alias already exists: " + new_key) );
+		if (this.countIndexJobs(old_key)) return callback( new Error("Index is busy: " + old_key) );
+		
+		var new_index = Tools.copyHash( old_index, true );
+		delete new_index.base_path;
+		
+		var job = this.createJob({ title: "Renaming index: " + old_key + " to " + new_key, index: old_key });
+		var num_records = 0;
+		var record_idx = 0;
+		var all_record_ids = [];
+		
+		async.series(
+			[
+				function(callback) {
+					// create new index
+					self.createIndex( new_key, new_index, callback );
+				},
+				function(callback) {
+					// get all record ids
+					self.getAllRecordIDs( old_key, function(err, ids) {
+						// ignore error (will just be empty list)
+						all_record_ids = ids;
+						num_records = ids.length;
+						callback();
+					} );
+				},
+				function(callback) {
+					// copy all records to new index (part 1/2)
+					async.eachSeries( all_record_ids,
+						function(record_id, callback) {
+							self.getRecord( old_key, record_id, function(err, record_data) {
+								if (err) return callback(err);
+								
+								self.insert( { index: new_key, id: record_id, data: record_data, history: false, hooks: false, changelog: false }, function(err) {
+									if (err) return callback(err);
+									
+									self.copyRecordAttachments( old_key, new_key, record_id, record_data, true, function(err) {
+										if (err) return callback(err);
+										
+										// update job progress (part 1/2)
+										record_idx++;
+										self.updateJob(job, { progress: 0.0 + ((record_idx / num_records) * 0.5) });
+										
+										callback();
+									} ); // copyRecordAttachments
+								} ); // insert
+							} ); // getRecord
+						},
+						callback
+					); // eachSeries
+				},
+				function(callback) {
+					// move live views and aliases over to new index
+					self.moveViews( old_key, new_key );
+					
+					var aliases = self.getAliases(old_key);
+					async.eachSeries( aliases,
+						function(alias, callback) {
+							self.aliases[alias] = new_key;
+							self.storage.hashPut( self.basePath + '/indexes', alias, { alias: new_key }, callback );
+						},
+						callback
+					); // eachSeries
+				},
+				function(callback) {
+					// remove all old records (part 2/2)
+					async.eachSeries( all_record_ids,
+						function(record_id, callback) {
+							self.delete( { index: old_key, id: record_id, history: false, trash: false, references: false, hooks: false, changelog: false, attachments: false }, function(err) {
+								if (err) return callback(err);
+								
+								// update job progress (part 2/2)
+								record_idx++;
+								self.updateJob(job, { progress: 0.5 + ((record_idx / num_records) * 0.5) });
+								
+								callback();
+							} ); // delete
+						},
+						callback
+					); // eachSeries
+				},
+				function(callback) {
+					// move record version history
+					self.moveRecordHistory( old_key, new_key, callback );
+				},
+				function(callback) {
+					// move trashed records
+					self.moveTrash( old_key, new_key, callback );
+				},
+				function(callback) {
+					// move changelog
+					self.moveChangelog( old_key, new_key, callback );
+				},
+				function(callback) {
+					// finally, delete old index
+					delete self.indexes[old_key];
+					self.storage.hashDelete( self.basePath + '/indexes', old_key, callback );
+				},
+				function(callback) {
+					// move old index history over, replacing the single version createIndex added
+					self.storage.listDelete( self.basePath + '/index_history/' + new_key, true, function(err) {
+						if (err) return callback(err);
+						
+						self.storage.listRename( self.basePath + '/index_history/' + old_key, self.basePath + '/index_history/' + new_key, function(err) {
+							// ignore error (bootstrapped indexes may have no history)
+							// continue version numbering from old index, and record the rename as a new version
+							self.indexes[new_key].version = old_index.version || 0;
+							self.saveIndex( new_key, { action: 'renameIndex', id: old_key }, callback );
+						} );
+					} );
+				},
+				function(callback) {
+					// delete old record manifest
+					self.storage.hashDeleteAll( self.getManifestPath(old_key), true, function(err) {
+						// ignore error (manifest may not exist)
+						callback();
+					} );
+				},
+				function(callback) {
+					// move record id counter
+					self.storage.rename( self.getCounterPath(old_key), self.getCounterPath(new_key), function(err) {
+						// ignore error (counter may not exist)
+						callback();
+					} );
 				}
 			],
 			function(err) {
@@ -307,6 +698,7 @@ module.exports = Class.create({
 		// reindex all records
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
@@ -351,7 +743,7 @@ module.exports = Class.create({
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress (part 1/2)
@@ -377,7 +769,7 @@ module.exports = Class.create({
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress (part 2/2)
@@ -402,10 +794,12 @@ module.exports = Class.create({
 		return job;
 	},
 	
-	addField: function(index_key, field, callback) {
+	addField: function(index_key, field, meta, callback) {
 		// add new field to index, and reindex records
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
@@ -414,13 +808,16 @@ module.exports = Class.create({
 		if (!field.id || (typeof(field.id) != 'string')) {
 			return callback( new Error("Invalid or missing Field ID") );
 		}
-		if (field.id.match(/^(_id|_data|_sorters)$/)) {
+		if (field.id.match(/^(_id|_data|_sorters|_history|_history_ids|_changes)$/)) {
 			return callback( new Error("Invalid Field ID: " + field.id) );
 		}
 		if (Tools.findObject(index.fields, { id: field.id })) {
 			return callback( new Error("Field already exists in index: " + field.id) );
 		}
+		var err = this.validateFieldReference(field) || this.validateComputedField(field) || this.validateEncryptedSource(index, field);
+		if (err) return callback(err);
 		
+		meta = Tools.mergeHashes( meta || {}, { action: 'addField', id: field.id } );
 		var job = this.createJob({ title: "Adding new field: " + field.id, index: index_key });
 		var num_records = 0;
 		var record_idx = 0;
@@ -431,7 +828,7 @@ module.exports = Class.create({
 				function(callback) {
 					// first, update index
 					index.fields.push( field );
-					self.storage.hashPut( self.basePath + '/indexes', index_key, index, callback );
+					self.saveIndex( index_key, meta, callback );
 				},
 				function(callback) {
 					// get all record ids
@@ -447,7 +844,7 @@ module.exports = Class.create({
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress
@@ -472,10 +869,12 @@ module.exports = Class.create({
 		return job;
 	},
 	
-	updateField: function(index_key, new_field, callback) {
+	updateField: function(index_key, new_field, meta, callback) {
 		// update field in index, and reindex records
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
@@ -483,7 +882,10 @@ module.exports = Class.create({
 		var field_id = new_field.id;
 		var old_field = Tools.findObject( index.fields, { id: field_id } );
 		if (!old_field) return callback( new Error("Field not found: " + field_id) );
+		var err = this.validateFieldReference(new_field) || this.validateComputedField(new_field) || this.validateEncryptedSource(index, new_field);
+		if (err) return callback(err);
 		
+		meta = Tools.mergeHashes( meta || {}, { action: 'updateField', id: field_id } );
 		var job = this.createJob({ title: "Updating field: " + field_id, index: index_key });
 		var num_records = 0;
 		var record_idx = 0;
@@ -508,7 +910,7 @@ module.exports = Class.create({
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress (part 1/2)
@@ -526,14 +928,14 @@ module.exports = Class.create({
 					// update field and save index
 					var idx = Tools.findObjectIdx( index.fields, { id: field_id } );
 					index.fields[idx] = new_field;
-					self.storage.hashPut( self.basePath + '/indexes', index_key, index, callback );
+					self.saveIndex( index_key, meta, callback );
 				},
 				function(callback) {
 					// update all records (part 2/2)
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress (part 2/2)
@@ -558,10 +960,12 @@ module.exports = Class.create({
 		return job;
 	},
 	
-	deleteField: function(index_key, field_id, callback) {
+	deleteField: function(index_key, field_id, meta, callback) {
 		// delete field from index, and reindex records
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
@@ -569,6 +973,7 @@ module.exports = Class.create({
 		var field = Tools.findObject( index.fields, { id: field_id } );
 		if (!field) return callback( new Error("Field not found: " + field_id) );
 		
+		meta = Tools.mergeHashes( meta || {}, { action: 'deleteField', id: field_id } );
 		var job = this.createJob({ title: "Deleting field: " + field.id, index: index_key });
 		var num_records = 0;
 		var record_idx = 0;
@@ -593,7 +998,7 @@ module.exports = Class.create({
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress
@@ -610,7 +1015,7 @@ module.exports = Class.create({
 				function(callback) {
 					// finally, update index
 					Tools.deleteObject( index.fields, { id: field_id } );
-					self.storage.hashPut( self.basePath + '/indexes', index_key, index, callback );
+					self.saveIndex( index_key, meta, callback );
 				},
 			],
 			function(err) {
@@ -623,10 +1028,12 @@ module.exports = Class.create({
 		return job;
 	},
 	
-	addSorter: function(index_key, sorter, callback) {
+	addSorter: function(index_key, sorter, meta, callback) {
 		// add new sorter to index, and reindex records
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
@@ -643,7 +1050,10 @@ module.exports = Class.create({
 		if (Tools.findObject(index.sorters, { id: sorter.id })) {
 			return callback( new Error("Sorter already exists in index: " + sorter.id) );
 		}
+		var err = this.validateComputedField(sorter) || this.validateEncryptedSource(index, sorter);
+		if (err) return callback(err);
 		
+		meta = Tools.mergeHashes( meta || {}, { action: 'addSorter', id: sorter.id } );
 		var job = this.createJob({ title: "Adding new sorter: " + sorter.id, index: index_key });
 		var num_records = 0;
 		var record_idx = 0;
@@ -654,7 +1064,7 @@ module.exports = Class.create({
 				function(callback) {
 					// first, update index
 					index.sorters.push( sorter );
-					self.storage.hashPut( self.basePath + '/indexes', index_key, index, callback );
+					self.saveIndex( index_key, meta, callback );
 				},
 				function(callback) {
 					// get all record ids
@@ -670,7 +1080,7 @@ module.exports = Class.create({
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress
@@ -695,10 +1105,12 @@ module.exports = Class.create({
 		return job;
 	},
 	
-	updateSorter: function(index_key, new_sorter, callback) {
+	updateSorter: function(index_key, new_sorter, meta, callback) {
 		// update sorter for index, and reindex records
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
@@ -712,7 +1124,10 @@ module.exports = Class.create({
 		if (!Tools.findObject(index.sorters, { id: new_sorter.id })) {
 			return callback( new Error("Sorter not found: " + new_sorter.id) );
 		}
+		var err = this.validateComputedField(new_sorter) || this.validateEncryptedSource(index, new_sorter);
+		if (err) return callback(err);
 		
+		meta = Tools.mergeHashes( meta || {}, { action: 'updateSorter', id: new_sorter.id } );
 		var job = this.createJob({ title: "Updating sorter: " + new_sorter.id, index: index_key });
 		var num_records = 0;
 		var record_idx = 0;
@@ -724,7 +1139,7 @@ module.exports = Class.create({
 					// first, update index
 					var idx = Tools.findObjectIdx( index.sorters, { id: new_sorter.id } );
 					index.sorters[idx] = new_sorter;
-					self.storage.hashPut( self.basePath + '/indexes', index_key, index, callback );
+					self.saveIndex( index_key, meta, callback );
 				},
 				function(callback) {
 					// get all record ids
@@ -740,7 +1155,7 @@ module.exports = Class.create({
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress
@@ -765,10 +1180,12 @@ module.exports = Class.create({
 		return job;
 	},
 	
-	deleteSorter: function(index_key, sorter_id, callback) {
+	deleteSorter: function(index_key, sorter_id, meta, callback) {
 		// delete sorter from index, and reindex records
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
@@ -778,6 +1195,7 @@ module.exports = Class.create({
 		var sorter = Tools.findObject( index.sorters, { id: sorter_id } );
 		if (!sorter) return callback( new Error("Sorter not found: " + field_id) );
 		
+		meta = Tools.mergeHashes( meta || {}, { action: 'deleteSorter', id: sorter_id } );
 		var job = this.createJob({ title: "Deleting sorter: " + sorter.id, index: index_key });
 		var num_records = 0;
 		var record_idx = 0;
@@ -802,7 +1220,7 @@ module.exports = Class.create({
 					async.eachSeries( all_record_ids,
 						function(record_id, callback) {
 							self.getRecord( index_key, record_id, function(err, record_data) {
-								self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+								self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
 									if (err) return callback(err);
 									
 									// update job progress
@@ -819,7 +1237,7 @@ module.exports = Class.create({
 				function(callback) {
 					// finally, update index
 					Tools.deleteObject( index.sorters, { id: sorter_id } );
-					self.storage.hashPut( self.basePath + '/indexes', index_key, index, callback );
+					self.saveIndex( index_key, meta, callback );
 				},
 			],
 			function(err) {
@@ -832,36 +1250,54 @@ module.exports = Class.create({
 		return job;
 	},
 	
-	bulkInsert: function(index_key, records, callback) {
+	bulkInsert: function(index_key, records, opts, callback) {
 		// bulk insert array of records
-		// array elements must have: { id, data }
+		// array elements must have: { data }, and optionally { id }
+		// opts: { mode } (see insert)
+		// callback receives array of all record ids, including generated ones
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write');
+		if (err) return callback(err);
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
 		
 		// some basic validation
 		if ((typeof(records) != 'object') || !records.length) {
 			return callback( new Error("Bulk Insert: Invalid records array") );
 		}
+		if (opts.mode && !this.insertModes[opts.mode]) {
+			return callback( new Error("Bulk Insert: Invalid insert mode: " + opts.mode) );
+		}
 		for (var idx = 0, len = records.length; idx < len; idx++) {
 			var record = records[idx];
-			if (!record.id || !record.data || (typeof(record.data) != 'object')) {
+			if (!record || !record.data || (typeof(record.data) != 'object')) {
 				return callback( new Error("Bulk Insert: Record #" + idx + " is malformed") );
 			}
+			var err = this.validateRecord(index, record.data);
+			if (err) {
+				return callback( new Error("Bulk Insert: Record #" + idx + " is invalid: " + err.message) );
+			}
 		}
 		
 		var job = this.createJob({ title: "Inserting " + records.length + " records", index: index_key });
 		var num_records = records.length;
 		var record_idx = 0;
+		var record_ids = [];
 		
 		async.eachSeries( records,
 			function(record, callback) {
-				self.insert( index_key, record.id, record.data, function(err) {
+				self.insert( { index: index_key, id: record.id || null, data: record.data, mode: opts.mode }, function(err, record_id) {
 					if (err) {
-						return callback( new Error("Bulk Insert: Record #" + record_idx + " failed: " + err) );
+						var berr = new Error("Bulk Insert: Record #" + record_idx + " failed: " + err);
+						berr.code = err.code;
+						return callback(berr);
 					}
+					record_ids.push( record_id );
 					
 					// update job progress
 					record_idx++;
@@ -873,26 +1309,34 @@ module.exports = Class.create({
 			function(err) {
 				// job finished
 				self.finishJob(job);
-				callback(err);
+				callback( err, record_ids );
 			}
 		); // eachSeries
 		
 		return job;
 	},
 	
-	bulkUpdate: function(index_key, records, updates, callback) {
+	bulkUpdate: function(index_key, records, updates, opts, callback) {
 		// bulk update array of records with same updates
 		// array elements must have { id }, or just plain id strings
+		// opts: { upsert } (see update)
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write');
+		if (err) return callback(err);
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
 		
 		// some basic validation
 		if ((typeof(records) != 'object') || !records.length) {
 			return callback( new Error("Bulk Update: Invalid records array") );
 		}
+		var err = this.validateUpdates(updates);
+		if (err) return callback( new Error("Bulk Update: " + err.message) );
 		for (var idx = 0, len = records.length; idx < len; idx++) {
 			if (typeof(records[idx]) != 'object') records[idx] = { id: records[idx] };
 			var record = records[idx];
@@ -907,9 +1351,11 @@ module.exports = Class.create({
 		
 		async.eachSeries( records,
 			function(record, callback) {
-				self.update( index_key, record.id, updates, function(err) {
+				self.update( { index: index_key, id: record.id, updates: updates, upsert: !!opts.upsert }, function(err) {
 					if (err) {
-						return callback( new Error("Bulk Update: Record #" + record_idx + " failed: " + err) );
+						var berr = new Error("Bulk Update: Record #" + record_idx + " failed: " + err);
+						berr.code = err.code;
+						return callback(berr);
 					}
 					
 					// update job progress
@@ -934,8 +1380,11 @@ module.exports = Class.create({
 		// array elements must have { id }, or just plain id strings
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write');
+		if (err) return callback(err);
 		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
 		
 		// some basic validation
@@ -982,8 +1431,11 @@ module.exports = Class.create({
 		// insert record without indexing
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write') || this.checkIndexEncryption(index_key);
+		if (err) return callback(err);
 		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
 		
 		this.logDebug(6, "Storing record: " + index_key + '/' + record_id, this.debugLevel(10) ? record_data : null);
@@ -991,78 +1443,157 @@ module.exports = Class.create({
 		// lock record
 		this.storage.lock( data_path, true, function() {
 			
-			// store data itself
-			self.storage.put( data_path, record_data, function(err) {
+			// store data itself (encrypted paths only ever hit storage encrypted)
+			self.storage.put( data_path, self.encryptRecord(index, record_data), function(err) {
 				if (err) {
 					self.storage.unlock( data_path );
 					return callback(err);
 				}
 				
-				self.storage.unlock( data_path );
-				self.logDebug(6, "Store complete", { index: index_key, id: record_id } );
-				callback();
+				// add to manifest, so verifyIndex() can find it
+				self.storage.hashPut( self.getManifestPath(index_key), record_id, 1, function(err) {
+					self.storage.unlock( data_path );
+					if (err) return callback(err);
+					
+					self.logDebug(6, "Store complete", { index: index_key, id: record_id } );
+					callback();
+				}); // hashPut
 			}); // put
 		}); // lock
 	},
 	
 	insert: function(index_key, record_id, record_data, callback) {
 		// insert (or update) full record
+		// if record id is omitted, one is generated and passed to the callback
+		// args.mode: upsert (default), create (fail if record exists), replace (fail if missing)
 		
 		// two calling conventions: (args, callback) and (index_key, record_id, record_data, callback?)
+		// the latter also allows: (index_key, record_data, callback?)
 		var args = {};
-		if (arguments.length < 3) {
+		if (typeof(index_key) == 'object') {
 			args = arguments[0];
 			callback = arguments[1] || args.callback || noop;
 			index_key = args.index;
 			record_id = args.id;
 			record_data = args.data;
 		}
+		else if (record_id && (typeof(record_id) == 'object')) {
+			callback = record_data;
+			record_data = record_id;
+			record_id = null;
+		}
 		
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write') || this.checkIndexEncryption(index_key);
+		if (err) return callback(err);
 		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
 		
+		if (!record_data || (typeof(record_data) != 'object')) {
+			return callback( new Error("Invalid record data for: " + index_key + '/' + record_id) );
+		}
+		var err = this.validateRecord(index, record_data);
+		if (err) return callback(err);
+		if (args.mode && !this.insertModes[args.mode]) return callback( new Error("Invalid insert mode: " + args.mode) );
+		
+		if (!record_id) {
+			// generate new id, and re-enter with it
+			return this.generateRecordID( index_key, function(err, record_id) {
+				if (err) return callback(err);
+				self.insert( Tools.mergeHashes(args, { index: index_key, id: record_id, data: record_data }), callback );
+			} );
+		}
+		
 		this.logDebug(6, "Inserting/updating record: " + index_key + '/' + record_id, this.debugLevel(10) ? record_data : null);
 		
 		// lock record
 		this.storage.lock( data_path, true, function() {
 			
-			// store data itself
-			self.storage.put( data_path, record_data, function(err) {
+			var context = { action: 'insert', index: index_key, id: record_id, data: record_data, meta: args.meta };
+			
+			async.series([
+				function(callback) {
+					// optional mode and revision checks (fails if record changed since caller last fetched it)
+					self.checkRecordPrecondition( index_key, record_id, args, callback );
+				},
+				function(callback) {
+					// before hooks may modify the record or veto the insert
+					self.runHooks( 'beforeInsert', index_key, context, args, function(err) {
+						if (err) return callback(err);
+						record_data = context.data;
+						callback( self.validateRecord(index, record_data) || null );
+					} );
+				}
+			],
+			function(err) {
 				if (err) {
 					self.storage.unlock( data_path );
 					return callback(err);
 				}
 				
-				// optional fast return (index in background)
-				if (args.fast) {
-					callback();
-					callback = noop;
-				}
-				
-				// now index it
-				self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+				// keep previous version, if index has record history enabled
+				self.archiveRecord( index_key, record_id, 'insert', args, function(err) {
 					if (err) {
 						self.storage.unlock( data_path );
 						return callback(err);
 					}
 					
-					// update view triggers
-					state.action = 'insert';
-					self.updateViews(index_key, state);
-					
-					self.storage.unlock( data_path );
-					self.logDebug(6, "Insert complete", { index: index_key, id: record_id } );
-					callback();
-				}); // indexRecord
-			}); // put
+					// add to manifest first, so an interrupted insert can be found by verifyIndex()
+					self.storage.hashPut( self.getManifestPath(index_key), record_id, 1, function(err) {
+						if (err) {
+							self.storage.unlock( data_path );
+							return callback(err);
+						}
+						
+						// store data itself (encrypted paths only ever hit storage encrypted)
+						self.storage.put( data_path, self.encryptRecord(index, record_data), function(err) {
+							if (err) {
+								self.storage.unlock( data_path );
+								return callback(err);
+							}
+							
+							// optional fast return (index in background)
+							if (args.fast) {
+								callback( null, record_id, self.getRecordRev(record_data) );
+								callback = noop;
+							}
+							
+							// now index it
+							self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
+								if (err) {
+									self.storage.unlock( data_path );
+									return callback(err);
+								}
+								
+								// append to changelog, then update view triggers
+								self.appendChange( index_key, record_id, 'insert', record_data, state, args, function() {
+									state.action = 'insert';
+									self.updateViews(index_key, state);
+									
+									self.runHooks( 'afterInsert', index_key, context, args, function() {
+										self.storage.unlock( data_path );
+										self.logDebug(6, "Insert complete", { index: index_key, id: record_id } );
+										
+										// evict old records if index is capped (in the background, not holding up the caller)
+										if (state.new_record && index.max_records) self.enforceCap( index_key );
+										callback( null, record_id, self.getRecordRev(record_data) );
+									}); // afterInsert
+								}); // appendChange
+							}); // indexRecord
+						}); // put
+					}); // hashPut
+				}); // archiveRecord
+			}); // series
 		}); // lock
 	},
 	
 	update: function(index_key, record_id, updates, callback) {
 		// update existing record, allowing for sparse and num increments
+		// args.upsert: create record from updates if it doesn't exist
+		// args.query: only update if record still matches parsed query (used by updateByQuery)
 		
 		// two calling conventions: (args, callback) and (index_key, record_id, updates, callback?)
 		var args = {};
@@ -1076,8 +1607,11 @@ module.exports = Class.create({
 		
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write') || this.checkIndexEncryption(index_key) || this.validateUpdates(updates);
+		if (err) return callback(err);
 		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
 		
 		this.logDebug(6, "Updating record: " + index_key + '/' + record_id, this.debugLevel(10) ? updates : null);
@@ -1085,159 +1619,311 @@ module.exports = Class.create({
 		// lock record
 		this.storage.lock( data_path, true, function() {
 			
-			// fetch existing record
-			self.storage.get( data_path, function(err, record_data) {
+			// optional query check (for updateByQuery, fails if record no longer matches)
+			self.checkRecordPrecondition( index_key, record_id, { query: args.query }, function(err) {
 				if (err) {
 					self.storage.unlock( data_path );
 					return callback(err);
 				}
 				
-				// allow updates to be a function
-				if (typeof(updates) == 'function') {
-					var result = updates(record_data);
-					if (result === false) {
-						// user doesn't want to update anymore, fine!
-						self.logDebug(6, "User aborted update");
-						self.storage.unlock( data_path );
-						return callback("ABORT");
-					}
-					else if (typeof(result) == 'object') {
-						// user returned actual updates, let's apply them
-						updates = result;
+				// fetch existing record
+				self.storage.get( data_path, function(err, record_data) {
+					record_data = self.decryptRecord(index, record_data);
+					var new_record = false;
+					if (err && (err.code == 'NoSuchKey')) {
+						if (!args.upsert) err = self.getRecordNotFoundError(index_key, record_id);
+						else if (args.if_rev) err = self.getRevConflictError(index_key, record_id, args.if_rev, null);
+						else {
+							// upsert: start from an empty record
+							err = null;
+							record_data = {};
+							new_record = true;
+						}
 					}
-					else {
-						// unknown result
+					if (err) {
 						self.storage.unlock( data_path );
-						return callback( new Error("Unknown result type from update handler") );
+						return callback(err);
 					}
-				}
-				
-				// apply updates
-				for (var ukey in updates) {
-					var uvalue = updates[ukey];
-					if ((typeof(uvalue) == 'string') && (typeof(record_data[ukey]) == 'number') && uvalue.match(/^(\+|\-)([\d\.]+)$/)) {
-						// increment / decrement numbers
-						var op = RegExp.$1;
-						var amt = parseFloat(RegExp.$2);
-						if (op == '+') record_data[ukey] += amt;
-						else record_data[ukey] -= amt;
+					
+					// optional revision check (fails if record changed since caller last fetched it)
+					var rev = self.getRecordRev(record_data);
+					if (args.if_rev && (rev != args.if_rev)) {
+						self.storage.unlock( data_path );
+						return callback( self.getRevConflictError(index_key, record_id, args.if_rev, rev) );
 					}
-					else if ((typeof(uvalue) == 'string') && uvalue.match(/^(\+|\-)\w+/)) {
-						// add/remove CSV tags
-						var values = {};
-						if (record_data[ukey]) {
-							record_data[ukey].split(/\W+/).forEach( function(tag) { values[tag] = 1; } );
+					
+					// keep copy of previous version, if index has record history or hooks
+					var need_prev = index.record_history || self.getHooks('beforeUpdate', index_key).length || self.getHooks('afterUpdate', index_key).length;
+					var prev_data = (need_prev && !new_record) ? Tools.copyHash(record_data, true) : null;
+					
+					// allow updates to be a function
+					if (typeof(updates) == 'function') {
+						var result = updates(record_data);
+						if (result === false) {
+							// user doesn't want to update anymore, fine!
+							self.logDebug(6, "User aborted update");
+							self.storage.unlock( data_path );
+							return callback("ABORT");
+						}
+						else if (typeof(result) == 'object') {
+							// user returned actual updates, let's apply them
+							updates = result;
+						}
+						else {
+							// unknown result
+							self.storage.unlock( data_path );
+							return callback( new Error("Unknown result type from update handler") );
 						}
-						uvalue.replace(/(\+|\-)(\w+)/g, function(m_all, op, tag) {
-							if (op == '+') values[tag] = 1;
-							else delete values[tag];
-							return '';
-						});
-						record_data[ukey] = Object.keys(values).join(', ');
 					}
-					else record_data[ukey] = uvalue;
-				}
-				
-				// store data itself
-				self.storage.put( data_path, record_data, function(err) {
+					
+					// apply updates (plain keys, string shortcuts and operators)
+					var err = self.applyUpdates(record_data, updates);
 					if (err) {
 						self.storage.unlock( data_path );
 						return callback(err);
 					}
 					
-					// optional fast return (index in background)
-					if (args.fast) {
-						callback( null, record_data );
-						callback = noop;
-					}
+					var context = { action: 'update', index: index_key, id: record_id, data: record_data, prev: prev_data, updates: updates, meta: args.meta };
 					
-					// now index it
-					self.storage.indexRecord( record_id, record_data, index, function(err, state) {
+					async.series([
+						function(callback) {
+							// before hooks may modify the record or veto the update
+							self.runHooks( 'beforeUpdate', index_key, context, args, function(err) {
+								if (err) return callback(err);
+								record_data = context.data;
+								
+								// make sure record still conforms to schema
+								callback( self.validateRecord(index, record_data) || null );
+							} );
+						},
+						function(callback) {
+							// keep previous version, if index has record history enabled
+							self.saveRecordVersion( index_key, record_id, prev_data, 'update', args, callback );
+						},
+						function(callback) {
+							// upserted records need a manifest entry, just like inserts
+							if (!new_record) return process.nextTick( callback );
+							self.storage.hashPut( self.getManifestPath(index_key), record_id, 1, callback );
+						},
+						function(callback) {
+							// store data itself (encrypted paths only ever hit storage encrypted)
+							self.storage.put( data_path, self.encryptRecord(index, record_data), callback );
+						}
+					],
+					function(err) {
 						if (err) {
 							self.storage.unlock( data_path );
 							return callback(err);
 						}
 						
-						// update view triggers
-						state.action = 'insert';
-						self.updateViews(index_key, state);
+						// optional fast return (index in background)
+						if (args.fast) {
+							callback( null, record_data, self.getRecordRev(record_data) );
+							callback = noop;
+						}
 						
-						self.storage.unlock( data_path );
-						self.logDebug(6, "Update complete", { index: index_key, id: record_id } );
-						callback( null, record_data );
-					}); // indexRecord
-				}); // put
-			}); // get
+						// now index it
+						self.storage.indexRecord( record_id, self.computeRecord(index, record_data), index, function(err, state) {
+							if (err) {
+								self.storage.unlock( data_path );
+								return callback(err);
+							}
+							
+							// append to changelog, then update view triggers
+							self.appendChange( index_key, record_id, 'update', record_data, state, args, function() {
+								state.action = 'insert';
+								self.updateViews(index_key, state);
+								
+								self.runHooks( 'afterUpdate', index_key, context, args, function() {
+									self.storage.unlock( data_path );
+									self.logDebug(6, "Update complete", { index: index_key, id: record_id } );
+									
+									// evict old records if index is capped (in the background, not holding up the caller)
+									if (new_record && index.max_records) self.enforceCap( index_key );
+									callback( null, record_data, self.getRecordRev(record_data) );
+								}); // afterUpdate
+							}); // appendChange
+						}); // indexRecord
+					}); // series
+				}); // get
+			}); // checkRecordPrecondition
 		}); // lock
 	},
 	
 	delete: function(index_key, record_id, callback) {
 		// delete record and index data
+		// args.trash: move record to trash instead of deleting it (defaults to index soft_delete setting)
+		// args.query: only delete if record still matches parsed query (used by deleteByQuery)
+		// args.references: set to false to skip on_delete rules for referencing records
+		// args.hooks: set to false to skip write hooks (used internally)
+		// args.attachments: set to false to keep attachment data (used by renameIndex)
+		
+		// two calling conventions: (args, callback) and (index_key, record_id, callback?)
+		var args = {};
+		if (typeof(index_key) == 'object') {
+			args = arguments[0];
+			callback = arguments[1] || args.callback || noop;
+			index_key = args.index;
+			record_id = args.id;
+		}
+		
 		if (!callback) callback = noop;
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'write') || this.checkIndexEncryption(index_key);
+		if (err) return callback(err);
 		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
+		var trash = ("trash" in args) ? !!args.trash : !!index.soft_delete;
 		
-		this.logDebug(6, "Deleting record: " + index_key + '/' + record_id);
+		this.logDebug(6, (trash ? "Trashing" : "Deleting") + " record: " + index_key + '/' + record_id);
 		
 		// lock record
 		this.storage.lock( data_path, true, function() {
 			
-			// unindex
-			self.storage.unindexRecord( record_id, index, function(err, state) {
+			var context = { action: 'delete', index: index_key, id: record_id, data: null, meta: args.meta };
+			var record_data = null;
+			var purge_attachments = !trash && (args.attachments !== false);
+			
+			async.series([
+				function(callback) {
+					// optional revision check (fails if record changed since caller last fetched it)
+					self.checkRecordPrecondition( index_key, record_id, { if_rev: args.if_rev, query: args.query }, callback );
+				},
+				function(callback) {
+					// before hooks may veto the delete (only load the record if there are any, or to find its attachments)
+					var hooks_needed = (args.hooks !== false) && (self.getHooks('beforeDelete', index_key).length || self.getHooks('afterDelete', index_key).length);
+					if (!hooks_needed && !purge_attachments) return process.nextTick( callback );
+					
+					self.storage.get( data_path, function(err, data) {
+						if (err && (err.code != 'NoSuchKey')) return callback(err);
+						record_data = self.decryptRecord(index, data) || null;
+						context.data = record_data;
+						self.runHooks( 'beforeDelete', index_key, context, args, callback );
+					} );
+				},
+				function(callback) {
+					// apply on_delete rules to referencing records, only once the delete is allowed to proceed
+					if ((args.references === false) || !self.getReferringFields(index_key).length) return process.nextTick( callback );
+					self.enforceReferences( index_key, record_id, args, callback );
+				}
+			],
+			function(err) {
 				if (err) {
 					self.storage.unlock( data_path );
 					return callback(err);
 				}
 				
-				// finally, delete record data
-				self.storage.delete( data_path, function(err) {
+				// keep final version, if index has record history enabled
+				self.archiveRecord( index_key, record_id, 'delete', args, function(err) {
 					if (err) {
 						self.storage.unlock( data_path );
 						return callback(err);
 					}
 					
-					// update view triggers
-					state.action = 'delete';
-					self.updateViews(index_key, state);
-					
-					self.storage.unlock( data_path );
-					callback();
-				} ); // delete
-			} ); // unindexRecord
+					// unindex
+					self.storage.unindexRecord( record_id, index, function(err, state) {
+						if (err) {
+							self.storage.unlock( data_path );
+							return callback(err);
+						}
+						
+						// finally, delete record data and attachments (or move both to trash)
+						var delete_data = function(callback) {
+							if (trash) return self.trashRecord( index_key, record_id, args, callback );
+							
+							self.storage.delete( data_path, function(err) {
+								if (err || !purge_attachments) return callback(err);
+								self.deleteRecordAttachments( index_key, record_id, record_data, false, callback );
+							} );
+						};
+						
+						delete_data( function(err) {
+							if (err) {
+								self.storage.unlock( data_path );
+								return callback(err);
+							}
+							
+							self.storage.hashDelete( self.getManifestPath(index_key), record_id, function() {
+								// ignore error (records stored prior to manifest tracking)
+								
+								// append to changelog, then update view triggers
+								self.appendChange( index_key, record_id, 'delete', null, state, args, function() {
+									state.action = 'delete';
+									self.updateViews(index_key, state);
+									
+									self.runHooks( 'afterDelete', index_key, context, args, function() {
+										self.storage.unlock( data_path );
+										callback();
+									} ); // afterDelete
+								} ); // appendChange
+							} ); // hashDelete
+						} ); // delete
+					} ); // unindexRecord
+				}); // archiveRecord
+			}); // series
 		}); // lock
 	},
 	
-	get: function(index_key, thingy, callback) {
+	get: function(index_key, thingy, opts, callback) {
 		// get single or multiple records
-		if (typeof(thingy) == 'object') this.getRecords(index_key, thingy, callback);
-		else this.getRecord(index_key, thingy, callback);
+		// opts: { fields?, expand? }
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		var self = this;
+		
+		var finish = function(err, data, revs) {
+			// revisions always reflect the full record, even if projected
+			if (err || !opts) return callback(err, data, revs);
+			
+			self.prepareRecords( index_key, Tools.alwaysArray(data), opts, function(err, records) {
+				if (err) return callback(err);
+				callback( null, Tools.isaArray(data) ? records : records[0], revs );
+			} );
+		};
+		
+		if (typeof(thingy) == 'object') this.getRecords(index_key, thingy, finish);
+		else this.getRecord(index_key, thingy, finish);
 	},
 	
 	getRecord: function(index_key, record_id, callback) {
-		// get single record
+		// get single record, and its revision
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
-		this.storage.get( data_path, callback );
+		
+		this.storage.get( data_path, function(err, record) {
+			if (err) return callback(err);
+			record = self.decryptRecord( self.indexes[index_key], record );
+			callback( null, record, self.getRecordRev(record) );
+		} );
 	},
 	
 	getRecords: function(index_key, record_ids, callback) {
 		// get multiple records at once
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		
 		var data_paths = record_ids.map( function(record_id) {
 			return self.basePath + '/records/' + index_key + '/' + record_id;
 		} );
 		
-		this.storage.getMulti( data_paths, callback );
+		this.storage.getMulti( data_paths, function(err, records) {
+			if (err) return callback(err);
+			records = records.map( function(record) { return self.decryptRecord(self.indexes[index_key], record); } );
+			callback( null, records, records.map( function(record) { return self.getRecordRev(record); } ) );
+		} );
 	},
 	
 	search: function(index_key, query, opts, callback) {
 		// perform combo search, sort, paginate and fetch
-		// opts: { sort_by, sort_dir, [sort_type], offset, limit, ids? }
+		// opts: { sort_by, sort_dir, [sort_type], offset, limit, ids?, fields?, expand? }
 		var self = this;
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'read');
+		if (err) return callback(err);
 		
 		this.logDebug(7, "Performing " + index_key + " search: " + query, opts);
 		
@@ -1263,12 +1949,17 @@ module.exports = Class.create({
 			var record_id = RegExp.$1;
 			perf.begin('get');
 			
-			return this.getRecord( index_key, record_id, function(err, record) {
+			return this.getRecord( index_key, record_id, function(err, record, rev) {
 				perf.end('get');
-				callback(err, err ? null : {
-					records: [ record ],
-					total: 1,
-					perf: perf
+				if (err) return callback(err);
+				
+				self.prepareRecords( index_key, [ record ], opts, function(err, records) {
+					callback(err, err ? null : {
+						records: records,
+						revs: [ rev ],
+						total: 1,
+						perf: perf
+					});
 				});
 			});
 		} // id shortcut
@@ -1308,10 +1999,17 @@ module.exports = Class.create({
 				
 				// load records fast
 				perf.begin('load');
-				self.getRecords( index_key, sorted_ids, function(err, records) {
+				self.getRecords( index_key, sorted_ids, function(err, records, revs) {
 					perf.end('load');
 					if (err) return callback(err);
-					callback( null, { records: records, total: total, perf: perf } );
+					
+					// expand references and/or project fields
+					perf.begin('prepare');
+					self.prepareRecords( index_key, records, opts, function(err, records) {
+						perf.end('prepare');
+						if (err) return callback(err);
+						callback( null, { records: records, revs: revs, total: total, perf: perf } );
+					} );
 				} );
 				
 			}; // finish
@@ -1338,6 +2036,7 @@ module.exports = Class.create({
 	parseSearchQuery: function(index_key, query) {
 		// parse search query, return native object and signature (id)
 		// synchronous function - will throw
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) throw new Error("Index not found: " + index_key);
 		
@@ -1397,14 +2096,18 @@ module.exports = Class.create({
 	subscribe: function(index_key, query, opts) {
 		// subscribe to a live search
 		// synchronous function - will throw
-		// opts: { sort_by, sort_dir, [sort_type], offset, limit }
+		// opts: { sort_by, sort_dir, [sort_type], offset, limit, fields? }
+		var alias = this.aliases[index_key] ? index_key : '';
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) throw new Error("Index not found: " + index_key);
+		var err = this.checkIndexMode(index_key, 'read');
+		if (err) throw err;
 		
 		// shortcut query for summary: #summary:status
 		if ((typeof(query) == 'string') && query.match(/^\s*\#summary\:(\w+)/i)) {
 			var field_id = RegExp.$1;
-			return this.subscribeSummary(index_key, field_id);
+			return this.subscribeSummary(alias || index_key, field_id);
 		}
 		
 		if (!opts.sort_by) opts.sort_by = '_id';
@@ -1415,10 +2118,12 @@ module.exports = Class.create({
 		// merge id, query and index_key into opts
 		var args = this.parseSearchQuery(index_key, query);
 		
-		opts.search_id = Tools.digestHex( args.id + '|' + opts.sort_by + '|' + opts.sort_dir, 'md5' );
+		// views subscribed via alias are kept separate, so they can be moved on swap
+		opts.search_id = Tools.digestHex( args.id + '|' + opts.sort_by + '|' + opts.sort_dir + (alias ? ('|' + alias) : ''), 'md5' );
 		opts.query = args.query;
 		opts.index_key = index_key;
 		opts.index = index;
+		opts.alias = alias;
 		opts.orig_query = query; // for logging
 		
 		// start new view?
@@ -1443,14 +2148,19 @@ module.exports = Class.create({
 	subscribeSummary: function(index_key, field_id) {
 		// subscribe to live field summary
 		// synchronous function - will throw
+		var alias = this.aliases[index_key] ? index_key : '';
+		index_key = this.resolveIndexKey(index_key);
 		var index = this.indexes[index_key];
 		if (!index) throw new Error("Index not found: " + index_key);
+		var err = this.checkIndexMode(index_key, 'read');
+		if (err) throw err;
 		
 		var opts = {
-			search_id: Tools.digestHex( '#summary:' + field_id, 'md5' ),
+			search_id: Tools.digestHex( '#summary:' + field_id + (alias ? ('|' + alias) : ''), 'md5' ),
 			field_id: field_id,
 			index_key: index_key,
 			index: index,
+			alias: alias,
 			orig_query: '#summary:' + field_id // for logging
 		};
 		
@@ -1483,6 +2193,49 @@ module.exports = Class.create({
 		}
 	},
 	
+	moveViews: function(old_key, new_key, alias) {
+		// move live views to new index, and rerun their searches
+		// optionally only move views subscribed via specific alias
+		var old_views = this.views[old_key];
+		if (!old_views) return;
+		
+		var new_index = this.indexes[new_key];
+		if (!this.views[new_key]) this.views[new_key] = {};
+		
+		for (var search_id in old_views) {
+			var view = old_views[search_id];
+			if (alias && (view.alias != alias)) continue;
+			
+			this.logDebug(6, "Moving view to new index: " + new_key, { id: search_id, alias: view.alias, old: old_key });
+			delete old_views[search_id];
+			
+			view.index_key = new_key;
+			view.index = new_index;
+			this.views[new_key][search_id] = view;
+			
+			for (var sub_id in view.subs) {
+				view.subs[sub_id].index_key = new_key;
+				view.subs[sub_id].index = new_index;
+			}
+			
+			if (!view.field_id) {
+				// record search, so query needs to be reparsed against new index
+				try {
+					view.query = this.parseSearchQuery( new_key, view.orig_query ).query;
+				}
+				catch (err) {
+					var err_msg = "Failed to move view to new index: " + err;
+					view.logError('search', err_msg);
+					view.broadcast('error', err_msg);
+					view.destroy();
+					continue;
+				}
+			}
+			
+			view.search();
+		}
+	},
+	
 	updateViews: function(index_key, state) {
 		// update all applicable views after record change
 		// enqueue this for background processing
@@ -1507,6 +2260,7 @@ module.exports = Class.create({
 		// get perf and other misc stats
 		var stats = this.storage.getStats();
 		stats.jobs = this.jobs;
+		stats.expiration = this.expireStats;
 		return stats;
 	},
 	
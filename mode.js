@@ -0,0 +1,50 @@
+// PixlServer Unbase Index Mode Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	indexModes: { normal: 1, read_only: 1, maintenance: 1 },
+	
+	setIndexMode: function(index_key, mode, meta, callback) {
+		// set index to normal, read_only or maintenance mode
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
+		if (!callback) callback = noop;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		if (!this.indexModes[mode]) return callback( new Error("Invalid index mode: " + mode) );
+		
+		meta = Tools.mergeHashes( meta || {}, { action: 'setIndexMode', id: mode } );
+		this.logDebug(3, "Setting index mode: " + index_key + ": " + mode);
+		
+		if (mode == 'normal') delete index.mode;
+		else index.mode = mode;
+		
+		this.saveIndex( index_key, meta, callback );
+	},
+	
+	checkIndexMode: function(index_key, access) {
+		// make sure index mode allows read or write access
+		// return false for success, or error on failure
+		var index = this.indexes[index_key];
+		var err = null;
+		
+		if (index.mode == 'maintenance') {
+			err = new Error("Index is in maintenance mode: " + index_key);
+			err.code = 'IndexMaintenance';
+		}
+		else if ((index.mode == 'read_only') && (access == 'write')) {
+			err = new Error("Index is read-only: " + index_key);
+			err.code = 'IndexReadOnly';
+		}
+		
+		return err || false;
+	}
+	
+}); // class
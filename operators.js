@@ -0,0 +1,277 @@
+// PixlServer Unbase Update Operator Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var stringify = require('json-stable-stringify');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function hasOwn(obj, key) {
+	// check for own property only, so paths can never reach into prototypes
+	return Object.prototype.hasOwnProperty.call(obj, key);
+};
+
+module.exports = Class.create({
+	
+	validateUpdates: function(updates) {
+		// make sure update object and any operators are kosher
+		// return false for success, or error on failure
+		if (typeof(updates) == 'function') return false;
+		if (!updates || !Tools.isaHash(updates)) return new Error("Invalid updates: Must be an object");
+		
+		for (var key in updates) {
+			if (!key.match(/^\$/)) continue;
+			if (!this['applyUpdateOp_' + key.substring(1)]) return new Error("Unknown update operator: " + key);
+			
+			var args = updates[key];
+			if ((key == '$unset') && Tools.isaArray(args)) {
+				for (var idx = 0, len = args.length; idx < len; idx++) {
+					if ((typeof(args[idx]) != 'string') || !this.isValidUpdatePath(args[idx])) return new Error("Invalid update path: " + key + ": " + args[idx]);
+				}
+				continue;
+			}
+			if (!args || !Tools.isaHash(args)) return new Error("Invalid update operator: " + key + ": Must be an object");
+			
+			for (var path in args) {
+				if (!this.isValidUpdatePath(path)) return new Error("Invalid update path: " + key + ": " + path);
+				
+				var value = args[path];
+				if (((key == '$inc') || (key == '$mul')) && (typeof(value) != 'number')) {
+					return new Error("Invalid update operator: " + key + ": Value must be a number: " + path);
+				}
+				if ((key == '$rename') && (!value || (typeof(value) != 'string') || !this.isValidUpdatePath(value))) {
+					return new Error("Invalid update operator: " + key + ": Target must be a path: " + path);
+				}
+				if (((key == '$push') || (key == '$addToSet') || (key == '$pull')) && Tools.isaHash(value) && ("$each" in value) && !Tools.isaArray(value.$each)) {
+					return new Error("Invalid update operator: " + key + ": $each must be an array: " + path);
+				}
+			}
+		}
+		
+		return false;
+	},
+	
+	isValidUpdatePath: function(path) {
+		// make sure path has no empty keys, and no keys which could reach into object prototypes
+		return !this.parseUpdatePath(path).some( function(key) {
+			return !key || key.match(/^(__proto__|constructor|prototype)$/);
+		} );
+	},
+	
+	parseUpdatePath: function(path) {
+		// convert dot-path ("a.b.c") or JSON Pointer ("/a/b/c") into array of keys
+		if (path.match(/^\//)) {
+			return path.substring(1).split('/').map( function(key) {
+				return key.replace(/~1/g, '/').replace(/~0/g, '~');
+			} );
+		}
+		return path.split('.');
+	},
+	
+	applyUpdates: function(record, updates) {
+		// apply sparse updates and operators to record (in place)
+		// return false for success, or error on failure
+		var err = this.validateUpdates(updates);
+		if (err) return err;
+		
+		for (var ukey in updates) {
+			var uvalue = updates[ukey];
+			
+			if (ukey.match(/^\$/)) {
+				// declarative operator, e.g. { $push: { "a.b": 1 } }
+				var args = uvalue;
+				if (Tools.isaArray(args)) {
+					// $unset also accepts a plain array of paths
+					args = {};
+					uvalue.forEach( function(path) { args[path] = 1; } );
+				}
+				
+				for (var path in args) {
+					err = this['applyUpdateOp_' + ukey.substring(1)]( record, path, args[path] );
+					if (err) return err;
+				}
+			}
+			else if ((typeof(uvalue) == 'string') && (typeof(record[ukey]) == 'number') && uvalue.match(/^(\+|\-)([\d\.]+)$/)) {
+				// increment / decrement numbers
+				var op = RegExp.$1;
+				var amt = parseFloat(RegExp.$2);
+				if (op == '+') record[ukey] += amt;
+				else record[ukey] -= amt;
+			}
+			else if ((typeof(uvalue) == 'string') && uvalue.match(/^(\+|\-)\w+/)) {
+				// add/remove CSV tags
+				var values = {};
+				if (record[ukey]) {
+					record[ukey].split(/\W+/).forEach( function(tag) { values[tag] = 1; } );
+				}
+				uvalue.replace(/(\+|\-)(\w+)/g, function(m_all, op, tag) {
+					if (op == '+') values[tag] = 1;
+					else delete values[tag];
+					return '';
+				});
+				record[ukey] = Object.keys(values).join(', ');
+			}
+			else record[ukey] = uvalue;
+		}
+		
+		return false;
+	},
+	
+	locateUpdatePath: function(record, path, create) {
+		// find parent container and final key for path, optionally creating intermediate objects
+		// returns { parent, key }, null if path doesn't exist, or error
+		if (!this.isValidUpdatePath(path)) return new Error("Invalid update path: " + path);
+		var keys = this.parseUpdatePath(path);
+		var node = record;
+		
+		for (var idx = 0, len = keys.length - 1; idx < len; idx++) {
+			var key = keys[idx];
+			if (!hasOwn(node, key) || (node[key] === null) || (typeof(node[key]) == 'undefined')) {
+				if (!create) return null;
+				node[key] = {};
+			}
+			node = node[key];
+			if (typeof(node) != 'object') return new Error("Invalid update path: " + path + ": " + key + " is not an object");
+		}
+		
+		return { parent: node, key: keys[keys.length - 1] };
+	},
+	
+	getUpdateValues: function(value) {
+		// get list of values for array operators, expanding { $each: [...] }
+		if (Tools.isaHash(value) && ("$each" in value)) return value.$each;
+		return [ value ];
+	},
+	
+	applyUpdateOp_set: function(record, path, value) {
+		// set value at path, creating intermediate objects as needed
+		var loc = this.locateUpdatePath(record, path, true);
+		if (loc instanceof Error) return loc;
+		loc.parent[loc.key] = value;
+		return false;
+	},
+	
+	applyUpdateOp_unset: function(record, path) {
+		// remove value at path, if it exists
+		var loc = this.locateUpdatePath(record, path, false);
+		if (!loc || (loc instanceof Error)) return loc || false;
+		
+		if (Tools.isaArray(loc.parent)) {
+			// only splice for in-range integer keys, otherwise there is nothing to remove
+			if (loc.key.match(/^\d+$/) && (parseInt(loc.key) < loc.parent.length)) loc.parent.splice( parseInt(loc.key), 1 );
+		}
+		else delete loc.parent[loc.key];
+		return false;
+	},
+	
+	applyNumberOp: function(record, path, handler) {
+		// apply math to number at path (missing values start at zero)
+		var loc = this.locateUpdatePath(record, path, true);
+		if (loc instanceof Error) return loc;
+		
+		var current = hasOwn(loc.parent, loc.key) ? loc.parent[loc.key] : 0;
+		if (typeof(current) != 'number') return new Error("Invalid update path: " + path + ": Value is not a number");
+		
+		loc.parent[loc.key] = handler(current);
+		return false;
+	},
+	
+	applyUpdateOp_inc: function(record, path, value) {
+		// increment number at path (use negative value to decrement)
+		return this.applyNumberOp( record, path, function(current) { return current + value; } );
+	},
+	
+	applyUpdateOp_mul: function(record, path, value) {
+		// multiply number at path
+		return this.applyNumberOp( record, path, function(current) { return current * value; } );
+	},
+	
+	applyUpdateOp_min: function(record, path, value) {
+		// set value at path only if new value is lower (or path is missing)
+		var loc = this.locateUpdatePath(record, path, true);
+		if (loc instanceof Error) return loc;
+		if (!hasOwn(loc.parent, loc.key) || (value < loc.parent[loc.key])) loc.parent[loc.key] = value;
+		return false;
+	},
+	
+	applyUpdateOp_max: function(record, path, value) {
+		// set value at path only if new value is higher (or path is missing)
+		var loc = this.locateUpdatePath(record, path, true);
+		if (loc instanceof Error) return loc;
+		if (!hasOwn(loc.parent, loc.key) || (value > loc.parent[loc.key])) loc.parent[loc.key] = value;
+		return false;
+	},
+	
+	getUpdateArray: function(record, path, create) {
+		// locate array at path for array operators, creating it if needed
+		// returns { parent, key } or error
+		var loc = this.locateUpdatePath(record, path, create);
+		if (!loc || (loc instanceof Error)) return loc;
+		
+		if (!hasOwn(loc.parent, loc.key) || (loc.parent[loc.key] === null)) {
+			if (!create) return null;
+			loc.parent[loc.key] = [];
+		}
+		if (!Tools.isaArray(loc.parent[loc.key])) return new Error("Invalid update path: " + path + ": Value is not an array");
+		
+		return loc;
+	},
+	
+	applyUpdateOp_push: function(record, path, value) {
+		// append one or more values to array at path
+		var loc = this.getUpdateArray(record, path, true);
+		if (loc instanceof Error) return loc;
+		
+		var arr = loc.parent[loc.key];
+		this.getUpdateValues(value).forEach( function(item) { arr.push(item); } );
+		return false;
+	},
+	
+	applyUpdateOp_addToSet: function(record, path, value) {
+		// append one or more values to array at path, skipping those already present
+		var loc = this.getUpdateArray(record, path, true);
+		if (loc instanceof Error) return loc;
+		
+		var arr = loc.parent[loc.key];
+		var existing = {};
+		arr.forEach( function(item) { existing[ stringify(item) ] = 1; } );
+		
+		this.getUpdateValues(value).forEach( function(item) {
+			var sig = stringify(item);
+			if (!existing[sig]) {
+				arr.push(item);
+				existing[sig] = 1;
+			}
+		} );
+		return false;
+	},
+	
+	applyUpdateOp_pull: function(record, path, value) {
+		// remove all matching values from array at path
+		var loc = this.getUpdateArray(record, path, false);
+		if (!loc || (loc instanceof Error)) return loc || false;
+		
+		var remove = {};
+		this.getUpdateValues(value).forEach( function(item) { remove[ stringify(item) ] = 1; } );
+		
+		loc.parent[loc.key] = loc.parent[loc.key].filter( function(item) { return !remove[ stringify(item) ]; } );
+		return false;
+	},
+	
+	applyUpdateOp_rename: function(record, path, new_path) {
+		// move value from path to new path, if it exists
+		var loc = this.locateUpdatePath(record, path, false);
+		if (!loc || (loc instanceof Error)) return loc || false;
+		if (!hasOwn(loc.parent, loc.key)) return false;
+		
+		var value = loc.parent[loc.key];
+		delete loc.parent[loc.key];
+		return this.applyUpdateOp_set( record, new_path, value );
+	},
+	
+	applyUpdateOp_currentDate: function(record, path, value) {
+		// set path to current date/time, as epoch seconds (or milliseconds if value is "ms")
+		return this.applyUpdateOp_set( record, path, (value == 'ms') ? Date.now() : Tools.timeNow(true) );
+	}
+	
+}); // class
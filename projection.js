@@ -0,0 +1,59 @@
+// PixlServer Unbase Field Projection Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+module.exports = Class.create({
+	
+	getProjectionFields: function(fields) {
+		// normalize fields option into array of paths, or null for entire records
+		// accepts array or comma-separated string of top-level keys and/or dot paths
+		if (!fields) return null;
+		if (typeof(fields) == 'string') fields = fields.split(/\s*\,\s*/);
+		if (!Tools.isaArray(fields)) return null;
+		
+		fields = fields.filter( function(path) { return path && (typeof(path) == 'string'); } );
+		return fields.length ? fields : null;
+	},
+	
+	getPathValue: function(record, path) {
+		// get value at dot path or JSON Pointer, or undefined if not found
+		var keys = this.parseUpdatePath(path);
+		var node = record;
+		
+		for (var idx = 0, len = keys.length; idx < len; idx++) {
+			if (!node || (typeof(node) != 'object') || !(keys[idx] in node)) return undefined;
+			node = node[ keys[idx] ];
+		}
+		
+		return node;
+	},
+	
+	projectRecord: function(record, fields) {
+		// trim record down to specified fields, returning new object
+		// records are returned as-is if no fields are specified
+		var self = this;
+		fields = this.getProjectionFields(fields);
+		if (!fields || !record || (typeof(record) != 'object')) return record;
+		
+		var dest = {};
+		fields.forEach( function(path) {
+			var value = self.getPathValue(record, path);
+			if (typeof(value) != 'undefined') self.applyUpdateOp_set( dest, path, value );
+		} );
+		
+		return dest;
+	},
+	
+	projectRecords: function(records, fields) {
+		// trim array of records down to specified fields
+		var self = this;
+		fields = this.getProjectionFields(fields);
+		if (!fields) return records;
+		
+		return records.map( function(record) { return self.projectRecord(record, fields); } );
+	}
+	
+}); // class
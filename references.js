@@ -0,0 +1,267 @@
+// PixlServer Unbase Cross-Index Reference Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+module.exports = Class.create({
+	
+	referenceRules: { restrict: 1, cascade: 1, nullify: 1 },
+	
+	validateFieldReference: function(def) {
+		// make sure field references config is kosher
+		// references: { index, on_delete } (on_delete defaults to restrict)
+		// return false for success, or error on failure
+		if (!("references" in def) || !def.references) return false;
+		var ref = def.references;
+		
+		if (!Tools.isaHash(ref)) return new Error("Invalid field references: " + def.id + ": Must be an object");
+		if (!ref.index || (typeof(ref.index) != 'string')) {
+			return new Error("Invalid field references: " + def.id + ": Missing target index");
+		}
+		if (ref.on_delete && !this.referenceRules[ref.on_delete]) {
+			return new Error("Invalid field references: " + def.id + ": Unknown on_delete rule: " + ref.on_delete);
+		}
+		if (!def.source || def.source.match(/\[.+\]/)) {
+			return new Error("Invalid field references: " + def.id + ": Source must be a simple path");
+		}
+		
+		return false;
+	},
+	
+	getReferringFields: function(index_key) {
+		// find all fields in all indexes which reference the given index
+		// returns array of { index_key, field, on_delete }
+		var refs = [];
+		
+		for (var key in this.indexes) {
+			this.indexes[key].fields.forEach( function(def) {
+				if (!def.references || (this.resolveIndexKey(def.references.index) != index_key)) return;
+				refs.push({ index_key: key, field: def, on_delete: def.references.on_delete || 'restrict' });
+			}, this );
+		}
+		
+		return refs;
+	},
+	
+	findRecordReferences: function(index_key, record_id, callback) {
+		// find all records in all indexes which reference the given record
+		// callback receives array of { index_key, field, on_delete, ids }, only including fields with matches
+		var self = this;
+		var matches = [];
+		var value = String(record_id).replace(/\"/g, '');
+		
+		async.eachSeries( this.getReferringFields(index_key),
+			function(ref, callback) {
+				self.search( ref.index_key, '(' + ref.field.id + ' = "' + value + '")', { ids: true }, function(err, data) {
+					if (err) return callback(err);
+					
+					// a record referencing itself doesn't count
+					var ids = data.records.filter( function(id) {
+						return (ref.index_key != index_key) || (id != record_id);
+					} );
+					if (ids.length) matches.push( Tools.mergeHashes(ref, { ids: ids }) );
+					callback();
+				} );
+			},
+			function(err) {
+				callback( err, matches );
+			}
+		); // eachSeries
+	},
+	
+	getRecordReferencedError: function(index_key, record_id, match) {
+		// construct error for restricted delete
+		var err = new Error("Record is referenced by " + match.ids.length + " record(s) in " + match.index_key + ": " + index_key + '/' + record_id);
+		err.code = 'RecordReferenced';
+		return err;
+	},
+	
+	enforceReferences: function(index_key, record_id, args, callback) {
+		// apply on_delete rules for all records referencing the given record, prior to deleting it
+		// the whole cascade is planned first, so a restrict rule anywhere in it fails before anything is changed
+		var self = this;
+		if (args.references === false) return process.nextTick( callback );
+		
+		var planned = {};
+		planned[ index_key + '/' + record_id ] = 1;
+		
+		this.planReferences( index_key, record_id, planned, [], function(err, ops) {
+			if (err) return callback(err);
+			if (ops.length) self.logDebug(6, "Applying " + ops.length + " on_delete operations for " + index_key + '/' + record_id);
+			
+			async.eachSeries( ops,
+				function(op, callback) {
+					var done = function(err) {
+						// ignore records which vanished in the meantime
+						if (err && (err.code == 'RecordNotFound')) err = null;
+						callback(err);
+					};
+					
+					// cascaded records were already planned above, so they skip their own rules
+					if (op.action == 'delete') {
+						self.delete( { index: op.index_key, id: op.id, meta: args.meta, references: false }, done );
+					}
+					else {
+						self.update( { index: op.index_key, id: op.id, updates: op.updates, meta: args.meta }, done );
+					}
+				},
+				callback
+			); // eachSeries
+		} ); // planReferences
+	},
+	
+	planReferences: function(index_key, record_id, planned, ops, callback) {
+		// recursively collect the deletes (cascade) and updates (nullify) needed to delete a record, deepest first
+		// planned tracks records already marked for deletion, so siblings and reference cycles are only visited once
+		// fails with RecordReferenced if a restrict rule applies anywhere in the cascade
+		var self = this;
+		
+		this.findRecordReferences( index_key, record_id, function(err, matches) {
+			if (err) return callback(err);
+			
+			// skip records which are already going to be deleted
+			matches = matches.map( function(match) {
+				return Tools.mergeHashes( match, { ids: match.ids.filter( function(id) { return !planned[ match.index_key + '/' + id ]; } ) } );
+			} ).filter( function(match) { return match.ids.length > 0; } );
+			
+			var restricted = Tools.findObject( matches, { on_delete: 'restrict' } );
+			if (restricted) return callback( self.getRecordReferencedError(index_key, record_id, restricted) );
+			
+			async.eachSeries( matches,
+				function(match, callback) {
+					if (match.on_delete == 'nullify') {
+						// the indexer skips null values, so write the default (or an empty string) to clear the index too
+						var updates = { $set: {} };
+						updates.$set[ match.field.source ] = ("default_value" in match.field) ? match.field.default_value : '';
+						
+						match.ids.forEach( function(ref_id) {
+							ops.push({ action: 'update', index_key: match.index_key, id: ref_id, updates: updates });
+						} );
+						return process.nextTick( callback );
+					}
+					
+					// cascade: mark all first, then plan each record's own referrers before the record itself
+					match.ids.forEach( function(ref_id) { planned[ match.index_key + '/' + ref_id ] = 1; } );
+					
+					async.eachSeries( match.ids,
+						function(ref_id, callback) {
+							self.planReferences( match.index_key, ref_id, planned, ops, function(err) {
+								if (err) return callback(err);
+								ops.push({ action: 'delete', index_key: match.index_key, id: ref_id });
+								callback();
+							} );
+						},
+						callback
+					); // eachSeries
+				},
+				function(err) {
+					callback( err, ops );
+				}
+			); // eachSeries
+		} ); // findRecordReferences
+	},
+	
+	getExpandFields: function(index_key, expand) {
+		// normalize expand option into array of reference fields, or null for none
+		// accepts array or comma-separated string of field ids, or true for all reference fields
+		var index = this.indexes[ this.resolveIndexKey(index_key) ];
+		if (!index || !expand) return null;
+		
+		var defs = index.fields.filter( function(def) { return !!def.references; } );
+		if (expand !== true) {
+			var ids = this.getProjectionFields(expand) || [];
+			defs = defs.filter( function(def) { return ids.indexOf(def.id) > -1; } );
+		}
+		
+		return defs.length ? defs : null;
+	},
+	
+	expandRecords: function(index_key, records, expand, callback) {
+		// batch-load referenced records for each expand field
+		// callback receives array (matching records) of { field_id: referenced_record_or_null }
+		var self = this;
+		var defs = this.getExpandFields(index_key, expand);
+		var expansions = records.map( function() { return {}; } );
+		if (!defs) return process.nextTick( function() { callback(null, expansions); } );
+		
+		async.eachSeries( defs,
+			function(def, callback) {
+				// collect unique ids, so each referenced record is only loaded once
+				var ids = {};
+				records.forEach( function(record) {
+					var value = record ? Tools.getPath(record, def.source) : null;
+					if ((typeof(value) == 'string') || (typeof(value) == 'number')) ids[value] = 1;
+				} );
+				
+				self.loadReferencedRecords( def.references.index, Object.keys(ids), function(err, ref_map) {
+					if (err) return callback(err);
+					
+					records.forEach( function(record, idx) {
+						var value = record ? Tools.getPath(record, def.source) : null;
+						expansions[idx][def.id] = ref_map[value] || null;
+					} );
+					callback();
+				} );
+			},
+			function(err) {
+				callback( err, expansions );
+			}
+		); // eachSeries
+	},
+	
+	loadReferencedRecords: function(ref_index, ids, callback) {
+		// load referenced records into hash keyed by id, skipping any that no longer exist
+		var self = this;
+		var ref_map = {};
+		if (!ids.length) return process.nextTick( function() { callback(null, ref_map); } );
+		
+		this.getRecords( ref_index, ids, function(err, records) {
+			if (!err) {
+				ids.forEach( function(id, idx) { ref_map[id] = records[idx]; } );
+				return callback( null, ref_map );
+			}
+			if (err.code != 'NoSuchKey') return callback(err);
+			
+			// dangling reference somewhere, fall back to loading records one at a time
+			async.eachSeries( ids,
+				function(id, callback) {
+					self.getRecord( ref_index, id, function(err, record) {
+						if (err && (err.code != 'NoSuchKey')) return callback(err);
+						if (record) ref_map[id] = record;
+						callback();
+					} );
+				},
+				function(err) {
+					callback( err, ref_map );
+				}
+			); // eachSeries
+		} ); // getRecords
+	},
+	
+	prepareRecords: function(index_key, records, opts, callback) {
+		// expand references (using full records), then project fields, for get and search
+		// opts: { expand, fields }
+		var self = this;
+		if (!opts || (!opts.expand && !opts.fields)) return process.nextTick( function() { callback(null, records); } );
+		
+		this.expandRecords( index_key, records, opts.expand, function(err, expansions) {
+			if (err) return callback(err);
+			
+			records = self.projectRecords( records, opts.fields );
+			if (opts.expand) records = self.attachExpansions( records, expansions );
+			callback( null, records );
+		} );
+	},
+	
+	attachExpansions: function(records, expansions) {
+		// add expanded references to records, under the _expand key
+		return records.map( function(record, idx) {
+			if (!record || (typeof(record) != 'object')) return record;
+			return Tools.mergeHashes( record, { _expand: expansions[idx] } );
+		} );
+	}
+	
+}); // class
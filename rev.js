@@ -0,0 +1,62 @@
+// PixlServer Unbase Record Revision Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var stringify = require('json-stable-stringify');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+module.exports = Class.create({
+	
+	insertModes: { upsert: 1, create: 1, replace: 1 },
+	
+	getRecordRev: function(record) {
+		// compute revision etag for record, based on its content
+		return Tools.digestHex( stringify(record), 'md5' ).substring(0, 16);
+	},
+	
+	getRevConflictError: function(index_key, record_id, expected, found) {
+		// construct conflict error for mismatched revision
+		var err = new Error("Record revision conflict: " + index_key + '/' + record_id + ": Expected " + expected + ", found " + (found || '(none)'));
+		err.code = 'RevisionConflict';
+		return err;
+	},
+	
+	getRecordNotFoundError: function(index_key, record_id) {
+		// construct error for missing record
+		var err = new Error("Record not found: " + index_key + '/' + record_id);
+		err.code = 'RecordNotFound';
+		return err;
+	},
+	
+	checkRecordPrecondition: function(index_key, record_id, args, callback) {
+		// make sure stored record matches expected revision, insert mode and query, if specified
+		// args: { if_rev, mode, query }
+		// call this from inside the record lock
+		var self = this;
+		if (!args.if_rev && (!args.mode || (args.mode == 'upsert'))) {
+			return this.checkRecordMatch( index_key, record_id, args.query, callback );
+		}
+		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
+		
+		this.storage.get( data_path, function(err, record_data) {
+			if (err && (err.code != 'NoSuchKey')) return callback(err);
+			record_data = self.decryptRecord( self.indexes[index_key], record_data );
+			
+			if ((args.mode == 'create') && record_data) {
+				var err = new Error("Record already exists: " + index_key + '/' + record_id);
+				err.code = 'RecordExists';
+				return callback(err);
+			}
+			if ((args.mode == 'replace') && !record_data) {
+				return callback( self.getRecordNotFoundError(index_key, record_id) );
+			}
+			
+			var rev = record_data ? self.getRecordRev(record_data) : null;
+			if (args.if_rev && (rev != args.if_rev)) return callback( self.getRevConflictError(index_key, record_id, args.if_rev, rev) );
+			
+			self.checkRecordMatch( index_key, record_id, args.query, callback );
+		} );
+	}
+	
+}); // class
@@ -0,0 +1,164 @@
+// PixlServer Unbase Schema Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var stringify = require('json-stable-stringify');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+module.exports = Class.create({
+	
+	schemaTypes: { string: 1, number: 1, integer: 1, boolean: 1, object: 1, array: 1, null: 1 },
+	
+	validateSchema: function(schema) {
+		// make sure index schema is kosher (JSON Schema subset)
+		// return false for success, or error on failure
+		var msg = this._validateSchemaNode( schema, '' );
+		return msg ? new Error("Invalid index schema: " + msg) : false;
+	},
+	
+	_validateSchemaNode: function(schema, path) {
+		// recursively validate schema node, return error message or false
+		var where = path || '/';
+		
+		if (!schema || !Tools.isaHash(schema)) {
+			return where + ": Schema must be an object";
+		}
+		
+		if ("type" in schema) {
+			var types = Tools.alwaysArray( schema.type );
+			if (!types.length) return where + ": Schema type list is empty";
+			for (var idx = 0, len = types.length; idx < len; idx++) {
+				if (!this.schemaTypes[ types[idx] ]) return where + ": Unknown schema type: " + types[idx];
+			}
+		}
+		
+		if ("required" in schema) {
+			if (!Tools.isaArray(schema.required)) return where + ": Schema required must be an array";
+			for (var idx = 0, len = schema.required.length; idx < len; idx++) {
+				if (typeof(schema.required[idx]) != 'string') return where + ": Schema required must contain strings";
+			}
+		}
+		
+		if ("enum" in schema) {
+			if (!Tools.isaArray(schema.enum) || !schema.enum.length) return where + ": Schema enum must be a non-empty array";
+		}
+		
+		var num_keys = ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems'];
+		for (var idx = 0, len = num_keys.length; idx < len; idx++) {
+			var key = num_keys[idx];
+			if ((key in schema) && (typeof(schema[key]) != 'number')) return where + ": Schema " + key + " must be a number";
+		}
+		
+		if ("pattern" in schema) {
+			if (typeof(schema.pattern) != 'string') return where + ": Schema pattern must be a string";
+			try { new RegExp(schema.pattern); }
+			catch (err) { return where + ": Invalid schema pattern: " + err.message; }
+		}
+		
+		if (("additionalProperties" in schema) && (typeof(schema.additionalProperties) != 'boolean')) {
+			return where + ": Schema additionalProperties must be a boolean";
+		}
+		
+		if ("properties" in schema) {
+			if (!Tools.isaHash(schema.properties)) return where + ": Schema properties must be an object";
+			for (var key in schema.properties) {
+				var msg = this._validateSchemaNode( schema.properties[key], path + '/properties/' + key );
+				if (msg) return msg;
+			}
+		}
+		
+		if ("items" in schema) {
+			var msg = this._validateSchemaNode( schema.items, path + '/items' );
+			if (msg) return msg;
+		}
+		
+		return false;
+	},
+	
+	validateRecord: function(index, record) {
+		// validate record data against index schema, if present
+		// return false for success, or error on failure
+		if (!index.schema) return false;
+		
+		var msg = this._validateRecordNode( index.schema, record, '' );
+		return msg ? new Error("Record failed schema validation: " + msg) : false;
+	},
+	
+	_validateRecordNode: function(schema, value, path) {
+		// recursively validate value against schema node, return error message or false
+		var where = path || '/';
+		var type = this.getSchemaType(value);
+		
+		if (schema.type) {
+			var types = Tools.alwaysArray( schema.type );
+			var type_ok = false;
+			
+			for (var idx = 0, len = types.length; idx < len; idx++) {
+				var allowed = types[idx];
+				if (allowed == type) type_ok = true;
+				else if ((allowed == 'integer') && (type == 'number') && (Math.floor(value) === value)) type_ok = true;
+			}
+			if (!type_ok) return where + ": Expected type " + types.join(' or ') + ", got " + type;
+		}
+		
+		if (schema.enum) {
+			var enum_ok = false;
+			var sig = stringify(value);
+			for (var idx = 0, len = schema.enum.length; idx < len; idx++) {
+				if (stringify(schema.enum[idx]) === sig) { enum_ok = true; break; }
+			}
+			if (!enum_ok) return where + ": Value must be one of: " + schema.enum.join(', ');
+		}
+		
+		if (type == 'number') {
+			if (("minimum" in schema) && (value < schema.minimum)) return where + ": Value must be >= " + schema.minimum;
+			if (("maximum" in schema) && (value > schema.maximum)) return where + ": Value must be <= " + schema.maximum;
+		}
+		else if (type == 'string') {
+			if (("minLength" in schema) && (value.length < schema.minLength)) return where + ": String length must be >= " + schema.minLength;
+			if (("maxLength" in schema) && (value.length > schema.maxLength)) return where + ": String length must be <= " + schema.maxLength;
+			if (("pattern" in schema) && !value.match(new RegExp(schema.pattern))) return where + ": String does not match pattern: " + schema.pattern;
+		}
+		else if (type == 'array') {
+			if (("minItems" in schema) && (value.length < schema.minItems)) return where + ": Array length must be >= " + schema.minItems;
+			if (("maxItems" in schema) && (value.length > schema.maxItems)) return where + ": Array length must be <= " + schema.maxItems;
+			
+			if (schema.items) {
+				for (var idx = 0, len = value.length; idx < len; idx++) {
+					var msg = this._validateRecordNode( schema.items, value[idx], path + '/' + idx );
+					if (msg) return msg;
+				}
+			}
+		}
+		else if (type == 'object') {
+			if (schema.required) {
+				for (var idx = 0, len = schema.required.length; idx < len; idx++) {
+					var key = schema.required[idx];
+					if (!(key in value) || (value[key] === undefined)) return path + '/' + key + ": Required property is missing";
+				}
+			}
+			
+			var props = schema.properties || {};
+			for (var key in value) {
+				if (key in props) {
+					var msg = this._validateRecordNode( props[key], value[key], path + '/' + key );
+					if (msg) return msg;
+				}
+				else if (schema.additionalProperties === false) {
+					return path + '/' + key + ": Property is not allowed";
+				}
+			}
+		}
+		
+		return false;
+	},
+	
+	getSchemaType: function(value) {
+		// get JSON Schema type name for value
+		if (value === null) return 'null';
+		if (Tools.isaArray(value)) return 'array';
+		return typeof(value);
+	}
+	
+}); // class
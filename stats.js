@@ -0,0 +1,167 @@
+// PixlServer Unbase Index Stats Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	getIndexStats: function(index_key, callback) {
+		// gather record count, field cardinality, sorter coverage and storage footprint for index
+		// this walks every record, so it runs as a background job
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		
+		var job = this.createJob({ title: "Gathering stats for index: " + index_key, index: index_key, readonly: true });
+		var record_ids = [];
+		var words = {};
+		var stats = {
+			index: index_key,
+			records: 0,
+			modified: 0,
+			fields: {},
+			sorters: {},
+			bytes: { records: 0, index: 0, total: 0 }
+		};
+		
+		index.fields.forEach( function(def) {
+			words[ def.id ] = {};
+			stats.fields[ def.id ] = { records: 0, words: 0 };
+		} );
+		
+		var add_bytes = function(type, key, callback) {
+			// add size of storage key to running total, and track latest mod date
+			self.storage.head( key, function(err, info) {
+				// ignore error (key may not exist)
+				if (info) {
+					stats.bytes[type] += info.len;
+					if (info.mod > stats.modified) stats.modified = info.mod;
+				}
+				callback();
+			} );
+		};
+		
+		var add_hash_bytes = function(path, callback) {
+			// add size of hash header and first data page to index total
+			async.eachSeries( [ path, path + '/data' ],
+				function(key, callback) { add_bytes( 'index', key, callback ); },
+				callback
+			);
+		};
+		
+		async.series(
+			[
+				function(callback) {
+					// record count comes straight from the primary id hash
+					self.storage.hashGetInfo( index.base_path + '/_id', function(err, hash) {
+						// ignore error (empty index)
+						stats.records = hash ? hash.length : 0;
+						callback();
+					} );
+				},
+				function(callback) {
+					self.getAllRecordIDs( index_key, function(err, ids) {
+						// ignore error (will just be empty list)
+						record_ids = ids;
+						callback();
+					} );
+				},
+				function(callback) {
+					// walk all records, summing sizes and collecting unique words per field
+					var record_idx = 0;
+					
+					async.eachSeries( record_ids,
+						function(record_id, callback) {
+							var idx_path = index.base_path + '/_data/' + record_id;
+							
+							async.series([
+								function(callback) {
+									add_bytes( 'records', self.basePath + '/records/' + index_key + '/' + record_id, callback );
+								},
+								function(callback) {
+									add_bytes( 'index', idx_path, callback );
+								},
+								function(callback) {
+									self.storage.get( idx_path, function(err, idx_data) {
+										// ignore error (record may have been deleted mid-job)
+										if (idx_data) index.fields.forEach( function(def) {
+											if (!idx_data[def.id] || !idx_data[def.id].words.length) return;
+											stats.fields[ def.id ].records++;
+											idx_data[def.id].words.forEach( function(word) { words[ def.id ][ word ] = 1; } );
+										} );
+										callback();
+									} );
+								}
+							],
+							function() {
+								// update job progress
+								record_idx++;
+								self.updateJob(job, { progress: record_idx / (record_ids.length || 1) });
+								callback();
+							}); // series
+						},
+						callback
+					); // eachSeries
+				},
+				function(callback) {
+					// add up word hashes and summaries for each field
+					async.eachSeries( index.fields,
+						function(def, callback) {
+							var field_path = index.base_path + '/' + def.id;
+							stats.fields[ def.id ].words = Tools.numKeys( words[ def.id ] );
+							
+							async.eachSeries( Object.keys( words[def.id] ),
+								function(word, callback) {
+									add_hash_bytes( field_path + '/word/' + word, callback );
+								},
+								function() {
+									if (!def.master_list) return callback();
+									add_bytes( 'index', field_path + '/summary', callback );
+								}
+							); // eachSeries
+						},
+						callback
+					); // eachSeries
+				},
+				function(callback) {
+					// sorter coverage is number of records with a sort value
+					async.eachSeries( index.sorters || [],
+						function(sorter, callback) {
+							var sort_path = index.base_path + '/' + sorter.id + '/sort';
+							
+							self.storage.hashGetInfo( sort_path, function(err, hash) {
+								// ignore error (empty sorter)
+								var count = hash ? hash.length : 0;
+								stats.sorters[ sorter.id ] = {
+									records: count,
+									coverage: stats.records ? Tools.shortFloat( count / stats.records ) : 0
+								};
+								add_hash_bytes( sort_path, callback );
+							} );
+						},
+						callback
+					); // eachSeries
+				},
+				function(callback) {
+					add_hash_bytes( index.base_path + '/_id', callback );
+				}
+			],
+			function(err) {
+				// job finished
+				stats.bytes.total = stats.bytes.records + stats.bytes.index;
+				self.finishJob(job);
+				callback(err, stats);
+			}
+		); // series
+		
+		return job;
+	}
+	
+}); // class
@@ -18,7 +18,7 @@ module.exports = Class.create({
 	
 	__construct: function(opts) {
 		// class constructor
-		// opts: { index_key, index, query, orig_query, sort_by, sort_dir, [sort_type], offset, limit }
+		// opts: { index_key, index, query, orig_query, sort_by, sort_dir, [sort_type], offset, limit, fields? }
 		Tools.mergeHashInto( this, opts || {} );
 		
 		// prevent 'error' events from crashing node
@@ -59,14 +59,14 @@ module.exports = Class.create({
 			}
 			
 			self.emit('change', {
-				records: records,
+				records: self.unbase.projectRecords(records, self.fields),
 				total: sort_pairs.length
 			});
 		} );
 	},
 	
 	changeOptions: function(opts) {
-		// change offset/limit and refresh
+		// change offset/limit and/or fields, and refresh
 		this.logDebug(8, "Subscriber changing search options", opts);
 		Tools.mergeHashInto( this, opts || {} );
 		this.notifyChange();
@@ -5,6 +5,7 @@
 var os = require('os');
 var fs = require('fs');
 var path = require('path');
+var stream = require('stream');
 var cp = require('child_process');
 var async = require('async');
 
@@ -514,6 +515,2273 @@ module.exports = {
 			} );
 		},
 		
+		function testGetIndexHistory(test) {
+			this.unbase.getIndexHistory( "myapp", function(err, items) {
+				test.ok( !err, "No error fetching index history: " + err );
+				test.ok( items.length == 7, "History has 7 versions: " + items.length );
+				test.ok( items[0].action == "createIndex", "Version 1 is createIndex: " + items[0].action );
+				test.ok( items[1].version == 2, "Version 2 has correct number: " + items[1].version );
+				test.ok( items[1].action == "addField", "Version 2 is addField: " + items[1].action );
+				test.ok( items[1].id == "num_comments", "Version 2 has field ID: " + items[1].id );
+				test.ok( !!Tools.findObject(items[1].index.fields, { id: "num_comments" }), "Version 2 has num_comments field" );
+				test.ok( items[6].action == "deleteSorter", "Version 7 is deleteSorter: " + items[6].action );
+				test.done();
+			} );
+		},
+		
+		function testRollbackIndex(test) {
+			var self = this;
+			
+			this.unbase.rollbackIndex( "myapp", 2, { username: "unittest" }, function(err) {
+				test.ok( !err, "No error rolling back index: " + err );
+				
+				var index = self.unbase.getIndex("myapp");
+				test.ok( index.version == 8, "Index is now version 8: " + index.version );
+				test.ok( !!Tools.findObject(index.fields, { id: "num_comments" }), "Index has num_comments field" );
+				test.ok( !Tools.findObject(index.fields, { id: "status" }).master_list, "Status field has no master_list" );
+				
+				self.unbase.search( "myapp", "num_comments:1", {}, function(err, data) {
+					test.ok( !err, "No error searching records: " + err );
+					test.ok( data.total == 1, "data.total is correct: " + data.total );
+					
+					self.unbase.getIndexHistory( "myapp", function(err, items) {
+						var item = items[ items.length - 1 ];
+						test.ok( item.action == "rollbackIndex", "Last version is rollbackIndex: " + item.action );
+						test.ok( item.username == "unittest", "Last version has username: " + item.username );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testConfigDriftWarn(test) {
+			var self = this;
+			var index = { fields: [ { id: "status", source: "/Status" } ] };
+			
+			this.unbase.createIndex( "drifttest", index, function(err) {
+				test.ok( !err, "No error creating index: " + err );
+				
+				self.unbase.insert( "drifttest", "d1", { Status: "Open", Priority: 3 }, function(err) {
+					test.ok( !err, "No error inserting record: " + err );
+					
+					// simulate config edit
+					self.unbase.config.set( 'indexes', {
+						drifttest: {
+							fields: [
+								{ id: "status", source: "/Status" },
+								{ id: "priority", source: "/Priority", type: "number" }
+							]
+						}
+					} );
+					
+					self.unbase.reconcileIndexes( function(err, drift) {
+						test.ok( !err, "No error checking drift: " + err );
+						test.ok( !!drift.drifttest, "Drift detected for index" );
+						test.ok( drift.drifttest.fields.added[0] == "priority", "Added field detected: " + drift.drifttest.fields.added );
+						test.ok( !Tools.findObject(self.unbase.getIndex("drifttest").fields, { id: "priority" }), "Field was not applied in warn mode" );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testConfigDriftApply(test) {
+			var self = this;
+			this.unbase.config.set( 'drift_mode', 'apply' );
+			
+			this.unbase.reconcileIndexes( function(err, drift) {
+				test.ok( !err, "No error applying drift: " + err );
+				test.ok( !!Tools.findObject(self.unbase.getIndex("drifttest").fields, { id: "priority" }), "Field was applied" );
+				
+				self.unbase.search( "drifttest", "priority:3", {}, function(err, data) {
+					test.ok( !err, "No error searching new field: " + err );
+					test.ok( data.total == 1, "data.total is correct: " + data.total );
+					
+					self.unbase.reconcileIndexes( function(err, drift) {
+						test.ok( !Tools.numKeys(drift), "No more drift after apply" );
+						
+						self.unbase.config.set( 'drift_mode', 'warn' );
+						self.unbase.config.delete( 'indexes' );
+						self.unbase.deleteIndex( "drifttest", function(err) {
+							test.ok( !err, "No error deleting index: " + err );
+							test.done();
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testCreateIndexBadSchema(test) {
+			var index = {
+				fields: [ { id: "status", source: "/Status" } ],
+				schema: { type: "object", properties: { Status: { type: "strin" } } }
+			};
+			
+			this.unbase.createIndex( "schematest", index, function(err) {
+				test.ok( !!err, "Error expected creating index with bad schema" );
+				test.ok( !!err.message.match(/properties\/Status/), "Error names schema path: " + err );
+				test.done();
+			} );
+		},
+		
+		function testCreateIndexSchema(test) {
+			var index = {
+				fields: [ { id: "status", source: "/Status" } ],
+				schema: {
+					type: "object",
+					required: ["Status", "Priority"],
+					properties: {
+						Status: { type: "string", enum: ["Open", "Closed"] },
+						Priority: { type: "integer", minimum: 1, maximum: 5 },
+						Tags: { type: "array", items: { type: "string", pattern: "^\\w+$" } }
+					}
+				}
+			};
+			
+			this.unbase.createIndex( "schematest", index, function(err) {
+				test.ok( !err, "No error creating index with schema: " + err );
+				test.done();
+			} );
+		},
+		
+		function testInsertSchemaViolation(test) {
+			var self = this;
+			var record = { Status: "Open", Priority: 1, Tags: ["good", "bad tag"] };
+			
+			this.unbase.insert( "schematest", "r1", record, function(err) {
+				test.ok( !!err, "Error expected inserting invalid record" );
+				test.ok( !!err.message.match(/\/Tags\/1/), "Error names failing path: " + err );
+				
+				self.unbase.insert( "schematest", "r1", { Status: "Open" }, function(err) {
+					test.ok( !!err, "Error expected inserting record missing required key" );
+					test.ok( !!err.message.match(/\/Priority/), "Error names missing key: " + err );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testUpdateSchemaViolation(test) {
+			var self = this;
+			var record = { Status: "Open", Priority: 5 };
+			
+			this.unbase.insert( "schematest", "r1", record, function(err) {
+				test.ok( !err, "No error inserting valid record: " + err );
+				
+				self.unbase.update( "schematest", "r1", { Priority: "+1" }, function(err) {
+					test.ok( !!err, "Error expected updating record out of range" );
+					test.ok( !!err.message.match(/\/Priority/), "Error names failing path: " + err );
+					
+					self.unbase.get( "schematest", "r1", function(err, record) {
+						test.ok( !err, "No error fetching record: " + err );
+						test.ok( record.Priority === 5, "Record was not changed: " + record.Priority );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testBulkInsertSchemaViolation(test) {
+			var records = [
+				{ id: "r2", data: { Status: "Closed", Priority: 2 } },
+				{ id: "r3", data: { Status: "Pending", Priority: 2 } }
+			];
+			
+			this.unbase.bulkInsert( "schematest", records, function(err) {
+				test.ok( !!err, "Error expected inserting invalid bulk" );
+				test.ok( !!err.message.match(/Record #1/), "Error names failing record: " + err );
+				test.done();
+			} );
+		},
+		
+		function testDeleteSchemaIndex(test) {
+			this.unbase.deleteIndex( "schematest", function(err) {
+				test.ok( !err, "No error deleting index: " + err );
+				test.done();
+			} );
+		},
+		
+		function testCreateAlias(test) {
+			var self = this;
+			var index = { fields: [ { id: "status", source: "/Status" } ] };
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "aliastest_v1", Tools.copyHash(index, true), callback ); },
+				function(callback) { self.unbase.createIndex( "aliastest_v2", Tools.copyHash(index, true), callback ); },
+				function(callback) { self.unbase.createAlias( "aliastest", "aliastest_v1", callback ); },
+				function(callback) { self.unbase.insert( "aliastest", "a1", { Status: "Open" }, callback ); },
+				function(callback) { self.unbase.insert( "aliastest_v2", "a1", { Status: "Open" }, callback ); },
+				function(callback) { self.unbase.insert( "aliastest_v2", "a2", { Status: "Open" }, callback ); }
+			],
+			function(err) {
+				test.ok( !err, "No error setting up alias: " + err );
+				test.ok( self.unbase.getIndex("aliastest") === self.unbase.getIndex("aliastest_v1"), "Alias resolves to v1" );
+				
+				self.unbase.createIndex( "aliastest", index, function(err) {
+					test.ok( !!err, "Error expected creating index with alias name" );
+					test.done();
+				} );
+			});
+		},
+		
+		function testSearchAlias(test) {
+			this.unbase.search( "aliastest", "status:open", {}, function(err, data) {
+				test.ok( !err, "No error searching alias: " + err );
+				test.ok( data.total == 1, "data.total is correct: " + data.total );
+				test.done();
+			} );
+		},
+		
+		function testSwapAlias(test) {
+			var self = this;
+			test.timeout( 3000 );
+			
+			var sub = this.unbase.subscribe( "aliastest", "status:open", { offset: 0, limit: 10 } );
+			
+			sub.once('change', function(data) {
+				test.ok( data.total == 1, "Initial data.total is 1: " + data.total );
+				
+				sub.once('change', function(data) {
+					test.ok( data.total == 2, "Swapped data.total is 2: " + data.total );
+					test.ok( sub.index_key == "aliastest_v2", "Subscriber moved to v2: " + sub.index_key );
+					sub.unsubscribe();
+					
+					self.unbase.search( "aliastest", "status:open", {}, function(err, data) {
+						test.ok( !err, "No error searching alias: " + err );
+						test.ok( data.total == 2, "data.total is correct after swap: " + data.total );
+						test.done();
+					} );
+				});
+				
+				self.unbase.swapAlias( "aliastest", "aliastest_v2", function(err) {
+					test.ok( !err, "No error swapping alias: " + err );
+				} );
+			});
+		},
+		
+		function testDeleteAlias(test) {
+			var self = this;
+			
+			this.unbase.deleteIndex( "aliastest_v2", function(err) {
+				test.ok( !!err, "Error expected deleting aliased index" );
+				
+				async.series([
+					function(callback) { self.unbase.deleteAlias( "aliastest", callback ); },
+					function(callback) { self.unbase.deleteIndex( "aliastest_v1", callback ); },
+					function(callback) { self.unbase.deleteIndex( "aliastest_v2", callback ); }
+				],
+				function(err) {
+					test.ok( !err, "No error deleting alias and indexes: " + err );
+					test.ok( !self.unbase.getIndex("aliastest"), "Alias is gone" );
+					test.done();
+				});
+			} );
+		},
+		
+		function testCloneIndex(test) {
+			var self = this;
+			
+			// global hook must not rewrite cloned records
+			var rewrite = function(context, callback) { context.data.Summary = "Rewritten"; callback(); };
+			this.unbase.hook( 'beforeInsert', "*", rewrite );
+			
+			this.unbase.cloneIndex( "myapp", "myapp_clone", { query: "status:open" }, function(err) {
+				self.unbase.unhook( 'beforeInsert', "*", rewrite );
+				test.ok( !err, "No error cloning index: " + err );
+				test.ok( !!self.unbase.getIndex("myapp_clone"), "Cloned index exists" );
+				
+				self.unbase.search( "myapp_clone", "*", {}, function(err, data) {
+					test.ok( !err, "No error searching cloned index: " + err );
+					test.ok( data.total == 2, "Only matching records were cloned: " + data.total );
+					test.ok( data.records[0].ID === "2653", "Record ID #0 is correct: " + data.records[0].ID );
+					test.ok( data.records[0].Summary != "Rewritten", "Hooks were not applied to cloned records" );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testGetIndexStats(test) {
+			var self = this;
+			
+			var job_id = this.unbase.getIndexStats( "myapp_clone", function(err, stats) {
+				test.ok( !err, "No error getting index stats: " + err );
+				test.ok( stats.records == 2, "Record count is correct: " + stats.records );
+				test.ok( stats.fields.status.words == 1, "Status field has one unique value: " + stats.fields.status.words );
+				test.ok( stats.fields.status.records == 2, "Status field is populated in all records: " + stats.fields.status.records );
+				test.ok( stats.bytes.records > 0, "Record bytes are non-zero: " + stats.bytes.records );
+				test.ok( stats.bytes.index > 0, "Index bytes are non-zero: " + stats.bytes.index );
+				test.ok( stats.bytes.total == stats.bytes.records + stats.bytes.index, "Total bytes add up" );
+				test.ok( stats.modified > 0, "Last modified date is set: " + stats.modified );
+				
+				for (var sorter_id in stats.sorters) {
+					test.ok( stats.sorters[sorter_id].coverage == 1, "Sorter has full coverage: " + sorter_id );
+				}
+				
+				test.ok( !self.unbase.jobs[job_id], "Stats job is finished" );
+				test.done();
+			} );
+			
+			test.ok( !!this.unbase.jobs[job_id], "Stats job is active" );
+			test.ok( this.unbase.countIndexJobs("myapp_clone") == 0, "Stats job does not mark index as busy" );
+		},
+		
+		function testRenameIndex(test) {
+			var self = this;
+			test.timeout( 3000 );
+			
+			var sub = this.unbase.subscribe( "myapp_clone", "status:open", { offset: 0, limit: 10 } );
+			
+			sub.once('change', function(data) {
+				test.ok( data.total == 2, "Initial data.total is 2: " + data.total );
+				
+				self.unbase.renameIndex( "myapp_clone", "myapp_renamed", function(err) {
+					test.ok( !err, "No error renaming index: " + err );
+					test.ok( !self.unbase.getIndex("myapp_clone"), "Old index is gone" );
+					test.ok( sub.index_key == "myapp_renamed", "Subscriber moved to new index: " + sub.index_key );
+					sub.unsubscribe();
+					
+					self.unbase.get( "myapp_clone", "2653", function(err, record) {
+						test.ok( !!err, "Error expected fetching record from old index" );
+						
+						self.unbase.search( "myapp_renamed", "status:open", {}, function(err, data) {
+							test.ok( !err, "No error searching renamed index: " + err );
+							test.ok( data.total == 2, "data.total is correct: " + data.total );
+							
+							self.unbase.getIndexHistory( "myapp_renamed", function(err, items) {
+								test.ok( !err, "No error fetching renamed index history: " + err );
+								test.ok( items.length == 2, "History carried over from old index: " + items.length );
+								test.ok( items[0].version == 1, "First version is from old index: " + items[0].version );
+								test.ok( items[1].action == 'renameIndex', "Last version is rename: " + items[1].action );
+								test.ok( items[1].id == 'myapp_clone', "Rename version has old key: " + items[1].id );
+								
+								self.unbase.deleteIndex( "myapp_renamed", function(err) {
+									test.ok( !err, "No error deleting renamed index: " + err );
+									test.done();
+								} );
+							} );
+						} );
+					} );
+				} );
+			});
+		},
+		
+		function testVerifyIndex(test) {
+			var self = this;
+			var index = {
+				fields: [
+					{ id: "status", source: "/status", master_list: true }
+				],
+				sorters: [
+					{ id: "num", source: "/num", type: "number" }
+				]
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "verifytest", index, callback ); },
+				function(callback) { self.unbase.insert( "verifytest", "r1", { status: "open", num: 1 }, callback ); },
+				function(callback) { self.unbase.insert( "verifytest", "r2", { status: "open", num: 2 }, callback ); },
+				function(callback) { self.unbase.insert( "verifytest", "r3", { status: "open", num: 3 }, callback ); },
+				function(callback) {
+					// store without indexing (unindexed), and change content without reindexing (stale)
+					self.unbase.put( "verifytest", "r4", { status: "open", num: 4 }, callback );
+				},
+				function(callback) { self.unbase.put( "verifytest", "r2", { status: "closed", num: 2 }, callback ); },
+				function(callback) {
+					// remove record data out from under the index (orphan)
+					self.storage.delete( self.unbase.basePath + '/records/verifytest/r3', callback );
+				}
+			],
+			function(err) {
+				test.ok( !err, "No error setting up verify index: " + err );
+				
+				self.unbase.verifyIndex( "verifytest", function(err, report) {
+					test.ok( !err, "No error verifying index: " + err );
+					test.ok( report.records == 4, "All records checked: " + report.records );
+					test.ok( report.orphans.join(',') == "r3", "Orphan detected: " + report.orphans );
+					test.ok( report.unindexed.join(',') == "r4", "Unindexed record detected: " + report.unindexed );
+					test.ok( report.stale.join(',') == "r2", "Stale record detected: " + report.stale );
+					test.ok( report.repaired == 0, "Nothing repaired without repair flag" );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testVerifyIndexRepair(test) {
+			var self = this;
+			
+			this.unbase.verifyIndex( "verifytest", { repair: true }, function(err, report) {
+				test.ok( !err, "No error repairing index: " + err );
+				test.ok( report.repaired == 3, "Three records repaired: " + report.repaired );
+				
+				self.unbase.verifyIndex( "verifytest", function(err, report) {
+					test.ok( !err, "No error verifying repaired index: " + err );
+					test.ok( report.records == 3, "Orphan is gone: " + report.records );
+					test.ok( !report.orphans.length && !report.unindexed.length && !report.stale.length, "Index is clean after repair" );
+					
+					self.unbase.search( "verifytest", "status:open", { sort_by: "num", sort_dir: 1 }, function(err, data) {
+						test.ok( !err, "No error searching repaired index: " + err );
+						test.ok( data.total == 2, "Correct records found: " + data.total );
+						test.ok( data.records[1].num == 4, "Unindexed record is now searchable" );
+						
+						self.unbase.deleteIndex( "verifytest", function(err) {
+							test.ok( !err, "No error deleting verify index: " + err );
+							test.done();
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testVerifyIndexSparse(test) {
+			var self = this;
+			var index = {
+				fields: [
+					{ id: "title", source: "/title" },
+					{ id: "tags", source: "/tags" }
+				]
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "verifysparse", index, callback ); },
+				function(callback) { self.unbase.insert( "verifysparse", "a", { title: "hello world" }, callback ); },
+				function(callback) { self.unbase.insert( "verifysparse", "b", { title: "hello again", tags: "red" }, callback ); }
+			],
+			function(err) {
+				test.ok( !err, "No error setting up sparse index: " + err );
+				
+				self.unbase.verifyIndex( "verifysparse", function(err, report) {
+					test.ok( !err, "No error verifying index: " + err );
+					test.ok( report.records == 2, "All records checked: " + report.records );
+					test.ok( !report.stale.length, "Record missing optional field is not stale: " + report.stale );
+					
+					self.unbase.deleteIndex( "verifysparse", function(err) {
+						test.ok( !err, "No error deleting index: " + err );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testCreateIndexBadTTL(test) {
+			var index = {
+				fields: [ { id: "status", source: "/status" } ],
+				ttl: { source: "status", age: 3600 }
+			};
+			
+			this.unbase.createIndex( "ttltest", index, function(err) {
+				test.ok( !!err, "Error expected with non-date ttl source" );
+				test.done();
+			} );
+		},
+		
+		function testExpireRecords(test) {
+			var self = this;
+			var now = Tools.timeNow(true);
+			test.timeout( 3000 );
+			
+			var index = {
+				fields: [
+					{ id: "status", source: "/status" },
+					{ id: "day", source: "/day", type: "date" }
+				],
+				sorters: [
+					{ id: "created", source: "/created", type: "number" },
+					{ id: "expires", source: "/expires", type: "number" }
+				],
+				ttl: { source: "created", age: 3600, expires: "expires" }
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "ttltest", index, callback ); },
+				function(callback) { self.unbase.insert( "ttltest", "t1", { status: "open", created: now }, callback ); },
+				function(callback) { self.unbase.insert( "ttltest", "t2", { status: "open", created: now - 7200 }, callback ); },
+				function(callback) { self.unbase.insert( "ttltest", "t3", { status: "open", created: now, expires: now - 10 }, callback ); },
+				function(callback) { self.unbase.insert( "ttltest", "t4", { status: "open", created: now, expires: now + 3600 }, callback ); }
+			],
+			function(err) {
+				test.ok( !err, "No error setting up ttl index: " + err );
+				
+				var sub = self.unbase.subscribe( "ttltest", "status:open", { offset: 0, limit: 10 } );
+				
+				var num_done = 0;
+				var finish = function() {
+					if (++num_done < 2) return;
+					sub.unsubscribe();
+					test.done();
+				};
+				
+				sub.once('change', function(data) {
+					test.ok( data.total == 4, "Initial data.total is 4: " + data.total );
+					
+					sub.on('change', function(data) {
+						// live search sees one change per expired record
+						if (data.total == 2) finish();
+					});
+					
+					self.unbase.sweepExpired( function(err, count) {
+						test.ok( !err, "No error sweeping expired records: " + err );
+						test.ok( count == 2, "Two records expired: " + count );
+						
+						var stats = self.unbase.getStats();
+						test.ok( stats.expiration.expired == 2, "Expired count in stats: " + stats.expiration.expired );
+						test.ok( stats.expiration.indexes.ttltest == 2, "Expired count for index in stats" );
+						finish();
+					} );
+				});
+			} );
+		},
+		
+		function testExpireRecordsByDateField(test) {
+			var self = this;
+			
+			async.series([
+				function(callback) { self.unbase.updateIndex( "ttltest", { ttl: { source: "day", age: 86400 * 2 } }, callback ); },
+				function(callback) { self.unbase.insert( "ttltest", "t5", { status: "open", day: "2001-01-01" }, callback ); },
+				function(callback) { self.unbase.insert( "ttltest", "t6", { status: "open", day: Tools.formatDate( Tools.timeNow(true), "[yyyy]-[mm]-[dd]" ) }, callback ); }
+			],
+			function(err) {
+				test.ok( !err, "No error setting up date ttl: " + err );
+				
+				self.unbase.expireRecords( "ttltest", function(err, count) {
+					test.ok( !err, "No error expiring records: " + err );
+					test.ok( count == 1, "One record expired by date: " + count );
+					
+					self.unbase.get( "ttltest", "t5", function(err, record) {
+						test.ok( !!err, "Expired record is gone" );
+						
+						self.unbase.deleteIndex( "ttltest", function(err) {
+							test.ok( !err, "No error deleting ttl index: " + err );
+							test.done();
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testCreateIndexBadCap(test) {
+			var index = {
+				fields: [ { id: "status", source: "/status" } ],
+				max_records: 3,
+				evict_sorter: "nope"
+			};
+			
+			this.unbase.createIndex( "captest", index, function(err) {
+				test.ok( !!err, "Error expected with missing evict sorter" );
+				test.done();
+			} );
+		},
+		
+		function testCappedIndex(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ],
+				sorters: [ { id: "num", source: "/num", type: "number" } ],
+				max_records: 3,
+				evict_sorter: "num"
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "captest", index, callback ); },
+				function(callback) { self.unbase.insert( "captest", "c1", { status: "open", num: 5 }, callback ); },
+				function(callback) { self.unbase.insert( "captest", "c2", { status: "open", num: 1 }, callback ); },
+				function(callback) { self.unbase.insert( "captest", "c3", { status: "open", num: 4 }, callback ); },
+				function(callback) { self.unbase.insert( "captest", "c4", { status: "open", num: 3 }, callback ); }
+			],
+			function(err) {
+				test.ok( !err, "No error inserting into capped index: " + err );
+				
+				// eviction runs in the background after the insert callback, so poll for it
+				async.retry( { times: 50, interval: 20 }, function(callback) {
+					self.unbase.get( "captest", "c2", function(err, record) {
+						var done = err && !self.unbase.evicting.captest;
+						callback( done ? null : new Error("Record not evicted yet") );
+					} );
+				},
+				function(err) {
+					test.ok( !err, "Lowest ranked record was evicted" );
+					
+					self.unbase.search( "captest", "status:open", {}, function(err, data) {
+						test.ok( !err, "No error searching capped index: " + err );
+						test.ok( data.total == 3, "Index is at capacity: " + data.total );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testCappedIndexLowerCap(test) {
+			var self = this;
+			
+			this.unbase.updateIndex( "captest", { max_records: 2 }, function(err) {
+				test.ok( !err, "No error lowering cap: " + err );
+				
+				self.unbase.search( "captest", "status:open", { sort_by: "num", sort_dir: 1 }, function(err, data) {
+					test.ok( !err, "No error searching capped index: " + err );
+					test.ok( data.total == 2, "Index is at new capacity: " + data.total );
+					test.ok( data.records[0].num == 4, "Correct records remain: " + data.records[0].num );
+					
+					self.unbase.deleteIndex( "captest", function(err) {
+						test.ok( !err, "No error deleting capped index: " + err );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testCappedIndexBulk(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ],
+				max_records: 3
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "capbulk", index, callback ); },
+				function(callback) {
+					// eviction kicks in after each insert past the cap, and must not make the index busy
+					async.timesSeries( 30, function(idx, callback) {
+						self.unbase.bulkInsert( "capbulk", [ { id: "b" + Tools.zeroPad(idx, 2), data: { status: "open" } } ], callback );
+					}, callback );
+				}
+			],
+			function(err) {
+				test.ok( !err, "No error bulk inserting past the cap: " + err );
+				
+				// wait for the last eviction to finish
+				async.retry( { times: 50, interval: 20 }, function(callback) {
+					self.unbase.search( "capbulk", "status:open", { ids: true }, function(err, data) {
+						if (err) return callback(err);
+						var done = (data.total == 3) && !self.unbase.evicting.capbulk;
+						callback( done ? null : new Error("Eviction not done yet"), data );
+					} );
+				},
+				function(err, data) {
+					test.ok( !err, "Index settled at capacity: " + err );
+					test.ok( data.records.sort().join(',') == "b27,b28,b29", "Newest records remain: " + data.records );
+					
+					self.unbase.deleteIndex( "capbulk", function(err) {
+						test.ok( !err, "No error deleting capped index: " + err );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testIndexModeReadOnly(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ]
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "modetest", index, callback ); },
+				function(callback) { self.unbase.insert( "modetest", "m1", { status: "open" }, callback ); },
+				function(callback) { self.unbase.setIndexMode( "modetest", "read_only", callback ); }
+			],
+			function(err) {
+				test.ok( !err, "No error setting read-only mode: " + err );
+				test.ok( self.unbase.getIndex("modetest").mode == "read_only", "Mode is stored in index definition" );
+				
+				async.series([
+					function(callback) { self.unbase.insert( "modetest", "m2", { status: "open" }, function(err) { callback(null, err); } ); },
+					function(callback) { self.unbase.update( "modetest", "m1", { status: "closed" }, function(err) { callback(null, err); } ); },
+					function(callback) { self.unbase.delete( "modetest", "m1", function(err) { callback(null, err); } ); },
+					function(callback) { self.unbase.bulkDelete( "modetest", ["m1"], function(err) { callback(null, err); } ); }
+				],
+				function(err, errs) {
+					errs.forEach( function(err, idx) {
+						test.ok( !!err && (err.code == 'IndexReadOnly'), "Write #" + idx + " rejected with IndexReadOnly: " + err );
+					} );
+					
+					self.unbase.search( "modetest", "status:open", {}, function(err, data) {
+						test.ok( !err, "No error searching read-only index: " + err );
+						test.ok( data.total == 1, "Record found in read-only index: " + data.total );
+						
+						var sub = self.unbase.subscribe( "modetest", "status:open", {} );
+						sub.once('change', function(data) {
+							test.ok( data.total == 1, "Live search works in read-only index" );
+							sub.unsubscribe();
+							test.done();
+						});
+					} );
+				} );
+			} );
+		},
+		
+		function testIndexModeMaintenance(test) {
+			var self = this;
+			
+			this.unbase.setIndexMode( "modetest", "bogus", function(err) {
+				test.ok( !!err, "Error expected with invalid mode" );
+				
+				self.unbase.setIndexMode( "modetest", "maintenance", function(err) {
+					test.ok( !err, "No error setting maintenance mode: " + err );
+					
+					var sub_err = null;
+					try { self.unbase.subscribe( "modetest", "status:open", {} ); }
+					catch (err) { sub_err = err; }
+					test.ok( !!sub_err && (sub_err.code == 'IndexMaintenance'), "Subscribe rejected in maintenance mode: " + sub_err );
+					
+					self.unbase.search( "modetest", "status:open", {}, function(err, data) {
+						test.ok( !!err && (err.code == 'IndexMaintenance'), "Search rejected in maintenance mode: " + err );
+						
+						self.unbase.insert( "modetest", "m2", { status: "open" }, function(err) {
+							test.ok( !!err && (err.code == 'IndexMaintenance'), "Insert rejected in maintenance mode: " + err );
+							
+							self.unbase.setIndexMode( "modetest", "normal", function(err) {
+								test.ok( !err, "No error setting normal mode: " + err );
+								test.ok( !self.unbase.getIndex("modetest").mode, "Mode removed from index definition" );
+								
+								self.unbase.deleteIndex( "modetest", function(err) {
+									test.ok( !err, "No error deleting mode index: " + err );
+									test.done();
+								} );
+							} );
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testInsertGeneratedID(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ]
+			};
+			
+			this.unbase.createIndex( "idtest", index, function(err) {
+				test.ok( !err, "No error creating index: " + err );
+				
+				self.unbase.insert( "idtest", { status: "open" }, function(err, id1) {
+					test.ok( !err, "No error inserting without ID: " + err );
+					test.ok( !!id1 && (typeof(id1) == 'string'), "Generated ID returned: " + id1 );
+					
+					self.unbase.insert( { index: "idtest", data: { status: "open" } }, function(err, id2) {
+						test.ok( !err, "No error inserting without ID (args): " + err );
+						test.ok( !!id2 && (id2 != id1), "Second generated ID is unique: " + id2 );
+						test.ok( id2 > id1, "Generated IDs are time-sortable" );
+						
+						self.unbase.get( "idtest", id1, function(err, record) {
+							test.ok( !err, "No error fetching record by generated ID: " + err );
+							test.ok( record.status == "open", "Record data is correct" );
+							test.done();
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testInsertGeneratedIDTypes(test) {
+			var self = this;
+			var ids = {};
+			
+			this.unbase.registerIDGenerator( "custom", function(index_key, callback) {
+				callback( null, "custom_" + index_key );
+			} );
+			
+			async.series([
+				function(callback) {
+					self.unbase.updateIndex( "idtest", { id_type: "bogus" }, function(err) {
+						test.ok( !!err, "Error expected with unknown id_type" );
+						callback();
+					} );
+				},
+				function(callback) { self.unbase.updateIndex( "idtest", { id_type: "uuid" }, callback ); },
+				function(callback) {
+					self.unbase.insert( "idtest", { status: "open" }, function(err, id) { ids.uuid = id; callback(err); } );
+				},
+				function(callback) { self.unbase.updateIndex( "idtest", { id_type: "counter" }, callback ); },
+				function(callback) {
+					self.unbase.bulkInsert( "idtest", [ { data: { status: "open" } }, { id: "fixed", data: { status: "open" } }, { data: { status: "open" } } ], function(err, record_ids) {
+						ids.bulk = record_ids;
+						callback(err);
+					} );
+				},
+				function(callback) { self.unbase.updateIndex( "idtest", { id_type: "custom" }, callback ); },
+				function(callback) {
+					self.unbase.insert( "idtest", { status: "open" }, function(err, id) { ids.custom = id; callback(err); } );
+				}
+			],
+			function(err) {
+				test.ok( !err, "No error inserting with id types: " + err );
+				test.ok( !!ids.uuid.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/), "UUID is valid: " + ids.uuid );
+				test.ok( ids.bulk.join(',') == "1,fixed,2", "Bulk insert returned counter and fixed IDs: " + ids.bulk );
+				test.ok( ids.custom == "custom_idtest", "Custom generator was used: " + ids.custom );
+				
+				self.unbase.deleteIndex( "idtest", function(err) {
+					test.ok( !err, "No error deleting index: " + err );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testRecordRevisions(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ]
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "revtest", index, callback ); },
+				function(callback) { self.unbase.insert( "revtest", "r1", { status: "open" }, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error setting up revision index: " + err );
+				var rev1 = results[1][1];
+				test.ok( !!rev1, "Revision returned from insert: " + rev1 );
+				
+				self.unbase.get( "revtest", "r1", function(err, record, rev) {
+					test.ok( !err, "No error fetching record: " + err );
+					test.ok( rev == rev1, "Revision returned from get matches insert: " + rev );
+					
+					self.unbase.search( "revtest", "status:open", {}, function(err, data) {
+						test.ok( !err, "No error searching: " + err );
+						test.ok( data.revs[0] == rev1, "Revision returned from search matches insert: " + data.revs[0] );
+						
+						self.unbase.update( { index: "revtest", id: "r1", updates: { status: "closed" }, if_rev: rev1 }, function(err, record, rev2) {
+							test.ok( !err, "No error updating with correct revision: " + err );
+							test.ok( !!rev2 && (rev2 != rev1), "New revision returned from update: " + rev2 );
+							test.done();
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testRecordRevisionConflicts(test) {
+			var self = this;
+			
+			this.unbase.get( "revtest", "r1", function(err, record, rev) {
+				test.ok( !err, "No error fetching record: " + err );
+				
+				async.series([
+					function(callback) {
+						self.unbase.update( { index: "revtest", id: "r1", updates: { status: "open" }, if_rev: "stale" }, function(err) { callback(null, err); } );
+					},
+					function(callback) {
+						self.unbase.insert( { index: "revtest", id: "r1", data: { status: "open" }, if_rev: "stale" }, function(err) { callback(null, err); } );
+					},
+					function(callback) {
+						self.unbase.insert( { index: "revtest", id: "r2", data: { status: "open" }, if_rev: "stale" }, function(err) { callback(null, err); } );
+					},
+					function(callback) {
+						self.unbase.delete( { index: "revtest", id: "r1", if_rev: "stale" }, function(err) { callback(null, err); } );
+					}
+				],
+				function(err, errs) {
+					errs.forEach( function(err, idx) {
+						test.ok( !!err && (err.code == 'RevisionConflict'), "Write #" + idx + " rejected with RevisionConflict: " + err );
+					} );
+					
+					self.unbase.delete( { index: "revtest", id: "r1", if_rev: rev }, function(err) {
+						test.ok( !err, "No error deleting with correct revision: " + err );
+						
+						self.unbase.deleteIndex( "revtest", function(err) {
+							test.ok( !err, "No error deleting index: " + err );
+							test.done();
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testInsertModes(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ]
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "modetest", index, callback ); },
+				function(callback) {
+					self.unbase.insert( { index: "modetest", id: "m1", data: { status: "open" }, mode: "create" }, function(err) { callback(null, err); } );
+				},
+				function(callback) {
+					self.unbase.insert( { index: "modetest", id: "m1", data: { status: "closed" }, mode: "create" }, function(err) { callback(null, err); } );
+				},
+				function(callback) {
+					self.unbase.insert( { index: "modetest", id: "m2", data: { status: "open" }, mode: "replace" }, function(err) { callback(null, err); } );
+				},
+				function(callback) {
+					self.unbase.insert( { index: "modetest", id: "m1", data: { status: "closed" }, mode: "replace" }, function(err) { callback(null, err); } );
+				},
+				function(callback) {
+					self.unbase.update( "modetest", "m3", { status: "open" }, function(err) { callback(null, err); } );
+				},
+				function(callback) {
+					self.unbase.update( { index: "modetest", id: "m3", updates: { status: "open" }, upsert: true }, function(err) { callback(null, err); } );
+				}
+			],
+			function(err, errs) {
+				test.ok( !err, "No error creating index: " + err );
+				test.ok( !errs[1], "Create succeeded for new record: " + errs[1] );
+				test.ok( !!errs[2] && (errs[2].code == 'RecordExists'), "Create rejected for existing record: " + errs[2] );
+				test.ok( !!errs[3] && (errs[3].code == 'RecordNotFound'), "Replace rejected for missing record: " + errs[3] );
+				test.ok( !errs[4], "Replace succeeded for existing record: " + errs[4] );
+				test.ok( !!errs[5] && (errs[5].code == 'RecordNotFound'), "Update rejected for missing record: " + errs[5] );
+				test.ok( !errs[6], "Upsert succeeded for missing record: " + errs[6] );
+				
+				self.unbase.search( "modetest", "status:open", {}, function(err, data) {
+					test.ok( !err, "No error searching: " + err );
+					test.ok( data.records.length == 1, "Found one open record: " + data.records.length );
+					test.ok( data.records[0].status == "open", "Upserted record is indexed" );
+					test.ok( !data.records.some( function(record) { return record.status == "closed"; } ), "Replaced record not in results" );
+					
+					self.unbase.get( "modetest", "m1", function(err, record) {
+						test.ok( !err, "No error fetching record: " + err );
+						test.ok( record.status == "closed", "Record was replaced: " + record.status );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testBulkInsertModes(test) {
+			var self = this;
+			var records = [
+				{ id: "m4", data: { status: "open" } },
+				{ id: "m1", data: { status: "open" } }
+			];
+			
+			this.unbase.bulkInsert( "modetest", records, { mode: "create" }, function(err) {
+				test.ok( !!err && (err.code == 'RecordExists'), "Bulk create rejected for existing record: " + err );
+				
+				self.unbase.bulkUpdate( "modetest", [ "m5", "m6" ], { status: "closed" }, function(err) {
+					test.ok( !!err && (err.code == 'RecordNotFound'), "Bulk update rejected for missing record: " + err );
+					
+					self.unbase.bulkUpdate( "modetest", [ "m5", "m6" ], { status: "closed" }, { upsert: true }, function(err) {
+						test.ok( !err, "No error bulk upserting: " + err );
+						
+						self.unbase.get( "modetest", [ "m4", "m5", "m6" ], function(err, records) {
+							test.ok( !err, "No error fetching records: " + err );
+							test.ok( records[0].status == "open", "Bulk created record exists" );
+							test.ok( (records[1].status == "closed") && (records[2].status == "closed"), "Bulk upserted records exist" );
+							
+							self.unbase.deleteIndex( "modetest", function(err) {
+								test.ok( !err, "No error deleting index: " + err );
+								test.done();
+							} );
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testRecordHistory(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ],
+				record_history: { max_versions: 3 }
+			};
+			var times = [];
+			var mark = function(callback) { times.push( Tools.timeNow() ); setTimeout( callback, 20 ); };
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "histtest", index, callback ); },
+				mark,
+				function(callback) { self.unbase.insert( "histtest", "h1", { status: "open" }, callback ); },
+				mark,
+				function(callback) {
+					self.unbase.update( { index: "histtest", id: "h1", updates: { status: "closed" }, meta: { username: "joe" } }, callback );
+				},
+				mark
+			],
+			function(err) {
+				test.ok( !err, "No error setting up history index: " + err );
+				
+				self.unbase.getRecordHistory( "histtest", "h1", function(err, items) {
+					test.ok( !err, "No error fetching record history: " + err );
+					test.ok( items.length == 2, "Two versions in history: " + items.length );
+					test.ok( (items[0].action == 'insert') && !items[0].data, "First version marks record creation" );
+					test.ok( (items[1].action == 'update') && (items[1].data.status == 'open'), "Second version has previous record" );
+					test.ok( items[1].username == 'joe', "Actor metadata saved with version" );
+					
+					async.mapSeries( times,
+						function(time, callback) {
+							self.unbase.getRecordAt( "histtest", "h1", time, function(err, record) { callback( null, err || record ); } );
+						},
+						function(err, results) {
+							test.ok( results[0].code == 'RecordNotFound', "Record did not exist at first time: " + results[0] );
+							test.ok( results[1].status == 'open', "Record was open at second time: " + JSON.stringify(results[1]) );
+							test.ok( results[2].status == 'closed', "Record was closed at third time: " + JSON.stringify(results[2]) );
+							
+							self.unbase.restoreRecord( "histtest", "h1", items[1].rev, { username: "bob" }, function(err) {
+								test.ok( !err, "No error restoring record: " + err );
+								
+								self.unbase.search( "histtest", "status:open", {}, function(err, data) {
+									test.ok( !err, "No error searching: " + err );
+									test.ok( data.records.length == 1, "Restored record is reindexed: " + data.records.length );
+									
+									self.unbase.update( "histtest", "h1", { status: "pending" }, function(err) {
+										test.ok( !err, "No error updating record: " + err );
+										
+										self.unbase.getRecordHistory( "histtest", "h1", function(err, items) {
+											test.ok( items.length == 3, "History trimmed to max_versions: " + items.length );
+											test.ok( items[1].restore && (items[1].username == 'bob'), "Restore recorded in history" );
+											test.done();
+										} );
+									} );
+								} );
+							} );
+						}
+					); // mapSeries
+				} );
+			} );
+		},
+		
+		function testRecordHistoryDelete(test) {
+			var self = this;
+			var path = this.unbase.getRecordHistoryPath( "histtest", "h1" );
+			
+			this.unbase.delete( "histtest", "h1", function(err) {
+				test.ok( !err, "No error deleting record: " + err );
+				
+				self.unbase.getRecordHistory( "histtest", "h1", function(err, items) {
+					var item = items[ items.length - 1 ];
+					test.ok( (item.action == 'delete') && (item.data.status == 'pending'), "Deleted version saved in history" );
+					
+					self.unbase.restoreRecord( "histtest", "h1", item.rev, function(err) {
+						test.ok( !err, "No error restoring deleted record: " + err );
+						
+						self.unbase.get( "histtest", "h1", function(err, record) {
+							test.ok( !err && (record.status == 'pending'), "Deleted record is back" );
+							
+							self.unbase.deleteIndex( "histtest", function(err) {
+								test.ok( !err, "No error deleting index: " + err );
+								
+								self.storage.listGetInfo( path, function(err) {
+									test.ok( !!err, "Record history deleted with index" );
+									test.done();
+								} );
+							} );
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testSoftDelete(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ],
+				soft_delete: true
+			};
+			var records = [
+				{ id: "s1", data: { status: "open" } },
+				{ id: "s2", data: { status: "open" } },
+				{ id: "s3", data: { status: "open" } }
+			];
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "trashtest", index, callback ); },
+				function(callback) { self.unbase.bulkInsert( "trashtest", records, callback ); },
+				function(callback) { self.unbase.bulkDelete( "trashtest", [ "s1", "s2" ], callback ); },
+				function(callback) { self.unbase.search( "trashtest", "status:open", { ids: true }, callback ); },
+				function(callback) { self.unbase.listTrash( "trashtest", callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error setting up trash index: " + err );
+				test.ok( results[3].records.length == 1, "Deleted records are unindexed: " + results[3].records.length );
+				
+				var items = results[4];
+				test.ok( items.length == 2, "Two records in trash: " + items.length );
+				test.ok( !!Tools.findObject(items, { id: "s1" }) && !!items[0].date, "Trash items have IDs and dates" );
+				
+				self.unbase.undelete( "trashtest", "s1", function(err) {
+					test.ok( !err, "No error undeleting record: " + err );
+					
+					self.unbase.undelete( "trashtest", "s1", function(err) {
+						test.ok( !!err && (err.code == 'RecordNotFound'), "Cannot undelete record twice: " + err );
+						
+						self.unbase.search( "trashtest", "status:open", { ids: true }, function(err, data) {
+							test.ok( !err, "No error searching: " + err );
+							test.ok( data.records.length == 2, "Undeleted record is reindexed: " + data.records.length );
+							
+							self.unbase.purgeTrash( "trashtest", 3600, function(err, count) {
+								test.ok( !err, "No error purging trash: " + err );
+								test.ok( count === 0, "Recent records not purged: " + count );
+								
+								self.unbase.purgeTrash( "trashtest", function(err, count) {
+									test.ok( !err, "No error emptying trash: " + err );
+									test.ok( count == 1, "Remaining record purged: " + count );
+									
+									self.unbase.listTrash( "trashtest", function(err, items) {
+										test.ok( !items.length, "Trash is empty: " + items.length );
+										test.done();
+									} );
+								} );
+							} );
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testDeleteIndexToTrash(test) {
+			var self = this;
+			var index = Tools.copyHash( this.unbase.indexes.trashtest, true );
+			
+			this.unbase.deleteIndex( "trashtest", function(err) {
+				test.ok( !err, "No error deleting index: " + err );
+				
+				self.unbase.listTrash( "trashtest", function(err, items) {
+					test.ok( items.length == 2, "Index records moved to trash: " + items.length );
+					
+					self.unbase.createIndex( "trashtest", index, function(err) {
+						test.ok( !err, "No error recreating index: " + err );
+						
+						self.unbase.undelete( "trashtest", "s3", function(err) {
+							test.ok( !err, "No error undeleting record into recreated index: " + err );
+							
+							self.unbase.deleteIndex( "trashtest", { trash: false }, function(err) {
+								test.ok( !err, "No error hard deleting index: " + err );
+								
+								self.unbase.purgeTrash( "trashtest", function(err, count) {
+									test.ok( !err, "No error purging trash: " + err );
+									test.ok( count == 1, "Leftover record purged: " + count );
+									test.done();
+								} );
+							} );
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testUpdateOperators(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/meta/status" } ]
+			};
+			var record = {
+				meta: { status: "open", score: 10, hits: 2 },
+				tags: [ "a", "b" ],
+				list: [ 1, 2, 3, 2 ],
+				Tags: "x, y",
+				old: "value"
+			};
+			var updates = {
+				"$set": { "meta.status": "closed", "/deep/a~1b": true },
+				"$unset": [ "meta.hits" ],
+				"$push": { "tags": { "$each": [ "c", "a" ] } },
+				"$addToSet": { "list": 3, "set": { "$each": [ 1, 1, 2 ] } },
+				"$pull": { "list": 2 },
+				"$min": { "meta.score": 5 },
+				"$max": { "meta.best": 7 },
+				"$mul": { "meta.score": 3 },
+				"$inc": { "meta.count": 1 },
+				"$rename": { "old": "renamed.key" },
+				"$currentDate": { "modified": true },
+				"Tags": "-x, +z"
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "optest", index, callback ); },
+				function(callback) { self.unbase.insert( "optest", "o1", record, callback ); },
+				function(callback) { self.unbase.update( { index: "optest", id: "o1", updates: updates }, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error applying update operators: " + err );
+				var data = results[2][0];
+				
+				test.ok( data.meta.status == "closed", "Dot-path set" );
+				test.ok( data.deep["a/b"] === true, "JSON Pointer set with escapes" );
+				test.ok( !("hits" in data.meta), "Unset removed key" );
+				test.ok( data.tags.join(',') == "a,b,c,a", "Push appended values: " + data.tags );
+				test.ok( data.list.join(',') == "1,3", "AddToSet then pull: " + data.list );
+				test.ok( data.set.join(',') == "1,2", "AddToSet created unique array: " + data.set );
+				test.ok( data.meta.score == 15, "Min then mul: " + data.meta.score );
+				test.ok( data.meta.best == 7, "Max set missing value" );
+				test.ok( data.meta.count == 1, "Inc started from zero" );
+				test.ok( !("old" in data) && (data.renamed.key == "value"), "Rename moved value" );
+				test.ok( Math.abs(data.modified - Tools.timeNow(true)) < 5, "Current date set" );
+				test.ok( data.Tags == "y, z", "CSV tag shortcut still works: " + data.Tags );
+				
+				self.unbase.search( "optest", "status:closed", { ids: true }, function(err, data) {
+					test.ok( !err, "No error searching: " + err );
+					test.ok( data.records.length == 1, "Nested update was reindexed" );
+					
+					self.unbase.update( "optest", "o1", { "$push": { "meta.status": 1 } }, function(err) {
+						test.ok( !!err, "Push onto non-array rejected: " + err );
+						
+						self.unbase.bulkUpdate( "optest", [ "o1" ], { "$bogus": { "a": 1 } }, function(err) {
+							test.ok( !!err && err.message.match(/Unknown update operator/), "Bulk update rejects unknown operator: " + err );
+							
+							self.unbase.bulkUpdate( "optest", [ "o1" ], { "$inc": { "meta.count": 2 } }, function(err) {
+								test.ok( !err, "No error bulk updating with operators: " + err );
+								
+								self.unbase.get( "optest", "o1", function(err, record) {
+									test.ok( record.meta.count == 3, "Bulk operator applied: " + record.meta.count );
+									
+									self.unbase.deleteIndex( "optest", function(err) {
+										test.ok( !err, "No error deleting index: " + err );
+										test.done();
+									} );
+								} );
+							} );
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testUpdateOperatorPaths(test) {
+			var record = { list: [ 1, 2, 3 ], meta: {} };
+			var err;
+			
+			err = this.unbase.applyUpdates( record, { "$set": { "__proto__.polluted": true } } );
+			test.ok( !!err && err.message.match(/Invalid update path/), "Set into __proto__ rejected: " + err );
+			test.ok( !({}).polluted, "Object prototype was not polluted" );
+			
+			err = this.unbase.applyUpdates( record, { "$set": { "/constructor/prototype/polluted": true } } );
+			test.ok( !!err, "Set into constructor prototype rejected: " + err );
+			
+			err = this.unbase.applyUpdates( record, { "$unset": [ "meta.__proto__" ] } );
+			test.ok( !!err, "Unset array with __proto__ path rejected: " + err );
+			
+			err = this.unbase.applyUpdates( record, { "$rename": { "meta": "prototype.x" } } );
+			test.ok( !!err, "Rename onto prototype path rejected: " + err );
+			
+			err = this.unbase.applyUpdates( record, { "$inc": { "meta.toString": 1 } } );
+			test.ok( !err, "No error incrementing key named after inherited method: " + err );
+			test.ok( record.meta.toString === 1, "Inherited key treated as missing: " + record.meta.toString );
+			
+			err = this.unbase.applyUpdates( record, { "$unset": [ "list.foo", "list.1x", "list.7" ] } );
+			test.ok( !err, "No error unsetting bad array keys: " + err );
+			test.ok( record.list.join(',') == "1,2,3", "Array untouched by non-index and out of range keys: " + record.list );
+			
+			err = this.unbase.applyUpdates( record, { "$unset": [ "list.1" ] } );
+			test.ok( record.list.join(',') == "1,3", "Array element removed by index: " + record.list );
+			
+			test.done();
+		},
+		
+		function testUpdateByQuery(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ]
+			};
+			var records = [ "open", "open", "open", "closed", "closed" ].map( function(status, idx) {
+				return { id: "q" + idx, data: { status: status, hits: 0 } };
+			} );
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "querytest", index, callback ); },
+				function(callback) { self.unbase.bulkInsert( "querytest", records, callback ); },
+				function(callback) { self.unbase.updateByQuery( "querytest", "status:open", { hits: "+1" }, { dry_run: true, sample: 2 }, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error with dry run: " + err );
+				test.ok( results[2].count == 3, "Dry run counted matching records: " + results[2].count );
+				test.ok( results[2].sample.length == 2, "Dry run returned sample of IDs: " + results[2].sample );
+				
+				self.unbase.get( "querytest", "q0", function(err, record) {
+					test.ok( record.hits === 0, "Dry run did not change records" );
+					
+					var job_id = self.unbase.updateByQuery( "querytest", "status:open", { status: "pending", hits: "+1" }, function(err, stats) {
+						test.ok( !err, "No error updating by query: " + err );
+						test.ok( (stats.matched == 3) && (stats.affected == 3) && !stats.skipped, "Updated all matches: " + JSON.stringify(stats) );
+						
+						var query = self.unbase.parseSearchQuery( "querytest", "status:open" ).query;
+						self.unbase.update( { index: "querytest", id: "q0", updates: { hits: "+1" }, query: query }, function(err) {
+							test.ok( !!err && (err.code == 'RecordNotMatched'), "Update skipped for record no longer matching: " + err );
+							
+							self.unbase.search( "querytest", "status:pending", {}, function(err, data) {
+								test.ok( data.records.length == 3, "Updated records reindexed: " + data.records.length );
+								test.ok( data.records[0].hits == 1, "Update shortcuts applied" );
+								test.done();
+							} );
+						} );
+					} );
+					test.ok( !!job_id, "Job ID returned: " + job_id );
+				} );
+			} );
+		},
+		
+		function testDeleteByQuery(test) {
+			var self = this;
+			
+			this.unbase.deleteByQuery( "querytest", '(status = "closed" | status = "bogus")', { dry_run: true }, function(err, result) {
+				test.ok( !err, "No error with PxQL dry run: " + err );
+				test.ok( result.count == 2, "Dry run counted matching records: " + result.count );
+				
+				self.unbase.deleteByQuery( "querytest", '(status = "closed")', function(err, stats) {
+					test.ok( !err, "No error deleting by query: " + err );
+					test.ok( stats.affected == 2, "Deleted matching records: " + stats.affected );
+					
+					self.unbase.deleteByQuery( "querytest", "status:(", function(err) {
+						test.ok( !!err, "Bad query rejected: " + err );
+						
+						self.unbase.search( "querytest", "*", { ids: true }, function(err, data) {
+							test.ok( data.records.length == 3, "Three records remain: " + data.records.length );
+							
+							self.unbase.deleteIndex( "querytest", function(err) {
+								test.ok( !err, "No error deleting index: " + err );
+								test.done();
+							} );
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testFieldProjection(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ]
+			};
+			var record = { status: "open", title: "Hello", body: "Lots of text here", meta: { a: 1, b: 2 } };
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "projtest", index, callback ); },
+				function(callback) { self.unbase.insert( "projtest", "p1", record, callback ); },
+				function(callback) { self.unbase.get( "projtest", "p1", { fields: [ "title", "meta.a", "missing" ] }, callback ); },
+				function(callback) { self.unbase.get( "projtest", [ "p1" ], { fields: "title, status" }, callback ); },
+				function(callback) { self.unbase.search( "projtest", "status:open", { fields: [ "meta.b" ] }, callback ); },
+				function(callback) { self.unbase.search( "projtest", "#id:p1", { fields: [ "title" ] }, callback ); },
+				function(callback) { self.unbase.get( "projtest", "p1", callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error fetching projected records: " + err );
+				test.ok( JSON.stringify(results[2][0]) == '{"title":"Hello","meta":{"a":1}}', "Get single projected: " + JSON.stringify(results[2][0]) );
+				test.ok( results[2][1] == results[1][1], "Revision reflects full record" );
+				test.ok( JSON.stringify(results[3][0]) == '[{"title":"Hello","status":"open"}]', "Get multi projected: " + JSON.stringify(results[3][0]) );
+				test.ok( JSON.stringify(results[4].records) == '[{"meta":{"b":2}}]', "Search projected: " + JSON.stringify(results[4].records) );
+				test.ok( JSON.stringify(results[5].records) == '[{"title":"Hello"}]', "ID search projected: " + JSON.stringify(results[5].records) );
+				test.ok( results[6][0].body == record.body, "Get without fields returns full record" );
+				test.done();
+			} );
+		},
+		
+		function testSubscribeProjection(test) {
+			var self = this;
+			test.timeout( 3000 );
+			
+			var sub1 = this.unbase.subscribe( "projtest", "status:open", { offset: 0, limit: 10, fields: [ "title" ] } );
+			var sub2 = this.unbase.subscribe( "projtest", "status:open", { offset: 0, limit: 10 } );
+			test.ok( Tools.numKeys(this.unbase.views.projtest) == 1, "Subscribers share one view" );
+			
+			var seen = {};
+			var check = function() {
+				if (!seen.sub1 || !seen.sub2) return;
+				test.ok( JSON.stringify(seen.sub1.records) == '[{"title":"Hello"}]', "Sub 1 got projected records: " + JSON.stringify(seen.sub1.records) );
+				test.ok( seen.sub2.records[0].body == "Lots of text here", "Sub 2 got full records" );
+				
+				sub1.once('change', function(data) {
+					test.ok( JSON.stringify(data.records) == '[{"meta":{"a":1,"b":2}}]', "Sub 1 projection changed: " + JSON.stringify(data.records) );
+					sub1.unsubscribe();
+					sub2.unsubscribe();
+					
+					self.unbase.deleteIndex( "projtest", function(err) {
+						test.ok( !err, "No error deleting index: " + err );
+						test.done();
+					} );
+				} );
+				sub1.changeOptions({ fields: [ "meta" ] });
+			};
+			
+			sub1.once('change', function(data) { seen.sub1 = data; check(); } );
+			sub2.once('change', function(data) { seen.sub2 = data; check(); } );
+		},
+		
+		function testBatch(test) {
+			var self = this;
+			var index = {
+				fields: [ { id: "status", source: "/status" } ],
+				record_history: true
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "batcha", index, callback ); },
+				function(callback) { self.unbase.createIndex( "batchb", { fields: index.fields }, callback ); },
+				function(callback) { self.unbase.insert( "batcha", "a1", { status: "open", count: 1 }, callback ); },
+				function(callback) { self.unbase.insert( "batchb", "b1", { status: "open" }, callback ); },
+				function(callback) {
+					self.unbase.batch([
+						{ action: 'update', index: "batcha", id: "a1", updates: { $inc: { count: 1 } } },
+						{ action: 'insert', index: "batchb", id: "b2", data: { status: "closed" } },
+						{ action: 'delete', index: "batchb", id: "b1" },
+						{ action: 'insert', index: "batcha", data: { status: "new" } }
+					], callback );
+				},
+				function(callback) { self.unbase.get( "batcha", "a1", callback ); },
+				function(callback) { self.unbase.search( "batchb", "status:open|closed", {}, callback ); },
+				function(callback) { self.unbase.search( "batcha", "status:new", {}, callback ); },
+				function(callback) { self.unbase.getRecordHistory( "batcha", "a1", callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error applying batch: " + err );
+				var batch = results[4];
+				test.ok( batch.length == 4, "Batch returned 4 results" );
+				test.ok( batch[0].rev == results[5][1], "Batch result has new revision" );
+				test.ok( batch[2].action == 'delete' && !batch[2].rev, "Delete result has no revision" );
+				test.ok( !!batch[3].id, "Batch generated record id" );
+				test.ok( results[5][0].count == 2, "Record was updated" );
+				test.ok( results[6].records.length == 1 && results[6].records[0].status == "closed", "Insert and delete applied across indexes" );
+				test.ok( results[7].records.length == 1, "Generated record is searchable" );
+				test.ok( results[8].length == 2, "History was saved for updated record" );
+				test.done();
+			} );
+		},
+		
+		function testBatchValidation(test) {
+			var self = this;
+			
+			async.series([
+				function(callback) {
+					self.unbase.batch([
+						{ action: 'update', index: "batcha", id: "a1", updates: { count: 100 } },
+						{ action: 'insert', index: "batchb", id: "bad" }
+					], function(err) {
+						test.ok( !!err, "Error for malformed operation" );
+						test.ok( !!err.message.match(/Operation #1/), "Error names bad operation: " + err.message );
+						callback();
+					} );
+				},
+				function(callback) {
+					self.unbase.batch([
+						{ action: 'update', index: "batcha", id: "a1", updates: { count: 100 } },
+						{ action: 'delete', index: "batchb", id: "b2", if_rev: "nope" }
+					], function(err) {
+						test.ok( !!err && (err.code == 'RevisionConflict'), "Revision conflict fails batch: " + (err && err.code) );
+						callback();
+					} );
+				},
+				function(callback) {
+					self.unbase.batch([
+						{ action: 'update', index: "batcha", id: "a1", updates: { count: 100 } },
+						{ action: 'update', index: "batcha", id: "a1", updates: { count: 200 } }
+					], function(err) {
+						test.ok( !!err && !!err.message.match(/Duplicate/), "Duplicate records rejected: " + err );
+						callback();
+					} );
+				},
+				function(callback) { self.unbase.get( "batcha", "a1", callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error: " + err );
+				test.ok( results[3][0].count == 2, "Record untouched by failed batches" );
+				test.done();
+			} );
+		},
+		
+		function testBatchRollback(test) {
+			var self = this;
+			var storage = this.storage;
+			var orig_put = storage.put;
+			var orig_update_views = this.unbase.updateViews;
+			var num_view_updates = 0;
+			
+			// simulate storage failure partway through the batch
+			storage.put = function(key, value, callback) {
+				if (key.match(/\/b3$/)) return callback( new Error("Simulated failure") );
+				return orig_put.apply(this, arguments);
+			};
+			this.unbase.updateViews = function() { num_view_updates++; };
+			
+			this.unbase.batch([
+				{ action: 'update', index: "batcha", id: "a1", updates: { status: "closed" } },
+				{ action: 'delete', index: "batchb", id: "b2" },
+				{ action: 'insert', index: "batchb", id: "b3", data: { status: "open" } }
+			],
+			function(err) {
+				storage.put = orig_put;
+				self.unbase.updateViews = orig_update_views;
+				test.ok( !!err && !!err.message.match(/Simulated failure/), "Batch failed: " + err );
+				test.ok( num_view_updates == 0, "No views notified for failed batch" );
+				
+				async.series([
+					function(callback) { self.unbase.get( "batcha", "a1", callback ); },
+					function(callback) { self.unbase.search( "batcha", "status:open", {}, callback ); },
+					function(callback) { self.unbase.search( "batchb", "status:closed", {}, callback ); },
+					function(callback) { self.unbase.getRecordHistory( "batcha", "a1", callback ); },
+					function(callback) { self.unbase.get( "batchb", "b3", function(err) { callback( null, err ); } ); }
+				],
+				function(err, results) {
+					test.ok( !err, "No error after rollback: " + err );
+					test.ok( results[0][0].status == "open", "Updated record was rolled back" );
+					test.ok( results[1].records.length == 1, "Updated record index was rolled back" );
+					test.ok( results[2].records.length == 1 && results[2].records[0].status == "closed", "Deleted record was restored" );
+					test.ok( results[3].length == 2, "History version was rolled back: " + results[3].length );
+					test.ok( !!results[4], "Failed insert left no record" );
+					
+					async.series([
+						function(callback) { self.unbase.deleteIndex( "batcha", callback ); },
+						function(callback) { self.unbase.deleteIndex( "batchb", callback ); }
+					],
+					function(err) {
+						test.ok( !err, "No error deleting indexes: " + err );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testReferences(test) {
+			var self = this;
+			var ref_field = function(rule) {
+				return { id: "ticket", source: "/ticket", references: { index: "reftickets", on_delete: rule } };
+			};
+			
+			async.series([
+				function(callback) {
+					self.unbase.createIndex( "refbad", { fields: [ { id: "ticket", source: "/ticket", references: { index: "reftickets", on_delete: "bogus" } } ] }, function(err) {
+						test.ok( !!err, "Error for unknown on_delete rule" );
+						callback();
+					} );
+				},
+				function(callback) { self.unbase.createIndex( "reftickets", { fields: [ { id: "title", source: "/title" } ] }, callback ); },
+				function(callback) { self.unbase.createIndex( "refcomments", { fields: [ ref_field("cascade") ] }, callback ); },
+				function(callback) { self.unbase.createIndex( "refwatchers", { fields: [ ref_field("restrict") ] }, callback ); },
+				function(callback) { self.unbase.createIndex( "reflinks", { fields: [ ref_field("nullify") ] }, callback ); },
+				function(callback) {
+					self.unbase.batch([
+						{ action: 'insert', index: "reftickets", id: "t1", data: { title: "First" } },
+						{ action: 'insert', index: "reftickets", id: "t2", data: { title: "Second" } },
+						{ action: 'insert', index: "refcomments", id: "c1", data: { ticket: "t1", body: "Hello" } },
+						{ action: 'insert', index: "refcomments", id: "c2", data: { ticket: "t1", body: "There" } },
+						{ action: 'insert', index: "refcomments", id: "c3", data: { ticket: "t2", body: "Again" } },
+						{ action: 'insert', index: "refwatchers", id: "w1", data: { ticket: "t2" } },
+						{ action: 'insert', index: "reflinks", id: "l1", data: { ticket: "t1" } }
+					], callback );
+				}
+			],
+			function(err) {
+				test.ok( !err, "No error setting up references: " + err );
+				
+				async.series([
+					function(callback) { self.unbase.get( "refcomments", "c1", { expand: [ "ticket" ] }, callback ); },
+					function(callback) { self.unbase.search( "refcomments", "*", { expand: true, fields: [ "body" ] }, callback ); },
+					function(callback) { self.unbase.get( "refcomments", [ "c1", "c3" ], { expand: "ticket" }, callback ); }
+				],
+				function(err, results) {
+					test.ok( !err, "No error expanding references: " + err );
+					test.ok( results[0][0]._expand.ticket.title == "First", "Get expanded reference" );
+					test.ok( results[0][0].body == "Hello", "Expanded record is intact" );
+					
+					var records = results[1].records;
+					test.ok( records.length == 3, "Search found all comments" );
+					test.ok( JSON.stringify(records[2]) == '{"body":"Again","_expand":{"ticket":{"title":"Second"}}}', "Search projected and expanded: " + JSON.stringify(records[2]) );
+					test.ok( results[2][0][1]._expand.ticket.title == "Second", "Multi-get expanded reference" );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testReferenceDeleteRules(test) {
+			var self = this;
+			
+			async.series([
+				function(callback) {
+					self.unbase.delete( "reftickets", "t2", function(err) {
+						test.ok( !!err && (err.code == 'RecordReferenced'), "Restrict rule blocked delete: " + err );
+						callback();
+					} );
+				},
+				function(callback) { self.unbase.get( "refcomments", "c3", callback ); },
+				function(callback) {
+					self.unbase.delete( { index: "reftickets", id: "t1", if_rev: "bogus" }, function(err) {
+						test.ok( !!err, "Delete with stale revision failed: " + err );
+						
+						self.unbase.get( "refcomments", "c1", function(err, record) {
+							test.ok( !err && !!record, "Failed delete did not cascade: " + err );
+							callback();
+						} );
+					} );
+				},
+				function(callback) { self.unbase.delete( "reftickets", "t1", callback ); },
+				function(callback) { self.unbase.search( "refcomments", "*", { ids: true }, callback ); },
+				function(callback) { self.unbase.get( "reflinks", "l1", callback ); },
+				function(callback) {
+					self.unbase.batch([ { action: 'delete', index: "reftickets", id: "t2" } ], function(err) {
+						test.ok( !!err && (err.code == 'RecordReferenced'), "Batch delete fails on references: " + err );
+						callback();
+					} );
+				},
+				function(callback) {
+					self.unbase.batch([
+						{ action: 'delete', index: "reftickets", id: "t2" },
+						{ action: 'delete', index: "refcomments", id: "c3" },
+						{ action: 'delete', index: "refwatchers", id: "w1" }
+					], callback );
+				},
+				function(callback) { self.unbase.search( "reftickets", "*", { ids: true }, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error applying delete rules: " + err );
+				test.ok( results[1][0].ticket == "t2", "Referencing record survived restrict" );
+				test.ok( JSON.stringify(results[4].records) == '["c3"]', "Cascade deleted comments: " + JSON.stringify(results[4].records) );
+				test.ok( results[5][0].ticket === "", "Nullify cleared reference: " + JSON.stringify(results[5][0].ticket) );
+				test.ok( results[8].records.length == 0, "Batch deleted record with its references" );
+				
+				self.unbase.search( "reflinks", '(ticket = "t1")', { ids: true }, function(err, data) {
+					test.ok( !err, "No error searching nullified field: " + err );
+					test.ok( data.records.length == 0, "Nullified reference removed from index: " + JSON.stringify(data.records) );
+					
+					async.eachSeries( [ "refcomments", "refwatchers", "reflinks", "reftickets" ],
+						function(index_key, callback) { self.unbase.deleteIndex( index_key, callback ); },
+						function(err) {
+							test.ok( !err, "No error deleting indexes: " + err );
+							test.done();
+						}
+					);
+				} );
+			} );
+		},
+		
+		function testReferenceDeepRestrict(test) {
+			var self = this;
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "deeptickets", { fields: [ { id: "title", source: "/title" } ] }, callback ); },
+				function(callback) { self.unbase.createIndex( "deepcomments", { fields: [ { id: "ticket", source: "/ticket", references: { index: "deeptickets", on_delete: "cascade" } } ] }, callback ); },
+				function(callback) { self.unbase.createIndex( "deeplikes", { fields: [ { id: "comment", source: "/comment", references: { index: "deepcomments", on_delete: "restrict" } } ] }, callback ); },
+				function(callback) {
+					self.unbase.batch([
+						{ action: 'insert', index: "deeptickets", id: "t1", data: { title: "First" } },
+						{ action: 'insert', index: "deepcomments", id: "c1", data: { ticket: "t1" } },
+						{ action: 'insert', index: "deepcomments", id: "c2", data: { ticket: "t1" } },
+						{ action: 'insert', index: "deeplikes", id: "k1", data: { comment: "c2" } }
+					], callback );
+				}
+			],
+			function(err) {
+				test.ok( !err, "No error setting up references: " + err );
+				
+				self.unbase.delete( "deeptickets", "t1", function(err) {
+					test.ok( !!err && (err.code == 'RecordReferenced'), "Restrict deeper in cascade blocked delete: " + err );
+					
+					self.unbase.get( "deepcomments", [ "c1", "c2" ], function(err, records) {
+						test.ok( !err && (records.length == 2), "No cascaded record was deleted: " + err );
+						
+						self.unbase.get( "deeptickets", "t1", function(err, record) {
+							test.ok( !err && !!record, "Referenced record still exists: " + err );
+							
+							async.eachSeries( [ "deeplikes", "deepcomments", "deeptickets" ],
+								function(index_key, callback) { self.unbase.deleteIndex( index_key, callback ); },
+								function(err) {
+									test.ok( !err, "No error deleting indexes: " + err );
+									test.done();
+								}
+							);
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testReferenceCascadeCycle(test) {
+			var self = this;
+			var peer_field = function(index_key) {
+				return { id: "peer", source: "/peer", references: { index: index_key, on_delete: "cascade" } };
+			};
+			
+			async.series([
+				function(callback) { self.unbase.createIndex( "refcyca", { fields: [ peer_field("refcycb") ] }, callback ); },
+				function(callback) { self.unbase.createIndex( "refcycb", { fields: [ peer_field("refcyca") ] }, callback ); },
+				function(callback) { self.unbase.insert( "refcyca", "a1", { peer: "b1" }, callback ); },
+				function(callback) { self.unbase.insert( "refcycb", "b1", { peer: "a1" }, callback ); },
+				function(callback) { self.unbase.delete( "refcyca", "a1", callback ); }
+			],
+			function(err) {
+				test.ok( !err, "No error deleting record in cascade cycle: " + err );
+				
+				self.unbase.get( "refcycb", "b1", function(err, record) {
+					test.ok( !!err, "Cascade deleted record on other side of cycle" );
+					
+					async.eachSeries( [ "refcyca", "refcycb" ],
+						function(index_key, callback) { self.unbase.deleteIndex( index_key, callback ); },
+						function(err) {
+							test.ok( !err, "No error deleting indexes: " + err );
+							test.done();
+						}
+					);
+				} );
+			} );
+		},
+		
+		function testComputedFields(test) {
+			var self = this;
+			var unbase = this.unbase;
+			
+			unbase.registerComputedField( "compFullName", function(record) { return record.first + ' ' + record.last; } );
+			unbase.registerComputedField( "compNameLength", function(record) { return (record.first + record.last).length; } );
+			
+			var index = {
+				fields: [ { id: "full_name", compute: "compFullName" } ],
+				sorters: [ { id: "name_len", compute: "compNameLength", type: "number" } ]
+			};
+			
+			async.series([
+				function(callback) {
+					unbase.createIndex( "compbad", { fields: [ { id: "foo", compute: "compNope" } ] }, function(err) {
+						test.ok( !!err, "Error for unregistered compute function" );
+						callback();
+					} );
+				},
+				function(callback) { unbase.createIndex( "comptest", index, callback ); },
+				function(callback) { unbase.insert( "comptest", "n1", { first: "Joe", last: "Smith" }, callback ); },
+				function(callback) { unbase.insert( "comptest", "n2", { first: "Al", last: "Gore" }, callback ); },
+				function(callback) { unbase.update( "comptest", "n2", { last: "Smithers" }, callback ); },
+				function(callback) { unbase.search( "comptest", "full_name:smithers", {}, callback ); },
+				function(callback) { unbase.search( "comptest", "*", { sort_by: "name_len", sort_dir: 1, ids: true }, callback ); },
+				function(callback) { unbase.get( "comptest", "n1", callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error using computed fields: " + err );
+				test.ok( results[5].records.length == 1 && results[5].records[0].first == "Al", "Search on computed field" );
+				test.ok( JSON.stringify(results[6].records) == '["n1","n2"]', "Sort on computed sorter: " + JSON.stringify(results[6].records) );
+				test.ok( !("_computed" in results[7][0]), "Computed values are not stored in record" );
+				test.ok( unbase.getIndex("comptest").fields[0].compute == "compFullName", "Index config refers to function by name" );
+				
+				// change function and reindex to recompute
+				unbase.registerComputedField( "compFullName", function(record) { return record.last + ' ' + record.first + ' person'; } );
+				
+				unbase.reindex( "comptest", null, function(err) {
+					test.ok( !err, "No error reindexing: " + err );
+					
+					unbase.search( "comptest", "full_name:person", { ids: true }, function(err, data) {
+						test.ok( !err, "No error searching: " + err );
+						test.ok( data.records.length == 2, "Reindex recomputed values" );
+						
+						unbase.deleteIndex( "comptest", function(err) {
+							test.ok( !err, "No error deleting index: " + err );
+							test.done();
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testComputedFieldsBootstrap(test) {
+			var self = this;
+			
+			// simulate computed field in config indexes, which never pass through createIndex
+			this.unbase.config.set( 'indexes', {
+				compboot: { fields: [ { id: "full_name", compute: "compFullName" } ] }
+			} );
+			
+			this.unbase.reconcileIndexes( function(err, drift) {
+				test.ok( !err, "No error bootstrapping index: " + err );
+				test.ok( self.unbase.getIndex("compboot").fields[0].source == "/_computed/compFullName", "Bootstrapped computed field has source" );
+				
+				self.unbase.insert( "compboot", "b1", { first: "Jane", last: "Doe" }, function(err) {
+					test.ok( !err, "No error inserting into bootstrapped index: " + err );
+					
+					self.unbase.search( "compboot", "full_name:jane", { ids: true }, function(err, data) {
+						test.ok( !err, "No error searching: " + err );
+						test.ok( data.records.length == 1, "Search on bootstrapped computed field" );
+						
+						self.unbase.reconcileIndexes( function(err, drift) {
+							test.ok( !Tools.numKeys(drift), "Derived source does not count as drift" );
+							
+							self.unbase.config.delete( 'indexes' );
+							self.unbase.deleteIndex( "compboot", function(err) {
+								// ignore error (bootstrapped index was never saved to storage)
+								test.ok( !self.unbase.getIndex("compboot"), "Index is gone" );
+								test.done();
+							} );
+						} );
+					} );
+				} );
+			} );
+		},
+		
+		function testWriteHooks(test) {
+			var self = this;
+			var unbase = this.unbase;
+			var counts = { afterInsert: 0, afterDelete: 0 };
+			
+			var hooks = {
+				beforeInsert: function(context, callback) {
+					context.data.email = context.data.email.toLowerCase();
+					context.data.modified = 12345;
+					callback();
+				},
+				afterInsert: function(context, callback) { counts.afterInsert++; callback(); },
+				beforeUpdate: function(context, callback) {
+					if (context.prev && context.prev.locked) return callback( new Error("Record is locked") );
+					callback();
+				},
+				beforeDelete: function(context, callback) {
+					callback( (context.id == 'keep') ? new Error("Cannot delete this one") : null );
+				},
+				afterDelete: function(context, callback) { counts.afterDelete++; callback(); }
+			};
+			
+			unbase.hook( 'beforeInsert', "hooktest", hooks.beforeInsert );
+			unbase.hook( 'afterInsert', "hooktest", hooks.afterInsert );
+			unbase.hook( 'beforeUpdate', "*", hooks.beforeUpdate );
+			unbase.hook( 'beforeDelete', "hooktest", hooks.beforeDelete );
+			unbase.hook( 'afterDelete', "hooktest", hooks.afterDelete );
+			
+			async.series([
+				function(callback) { unbase.createIndex( "hooktest", { fields: [ { id: "email", source: "/email" } ] }, callback ); },
+				function(callback) { unbase.insert( "hooktest", "h1", { email: "Joe@Example.COM" }, callback ); },
+				function(callback) {
+					unbase.bulkInsert( "hooktest", [
+						{ id: "h2", data: { email: "A@B.COM" } },
+						{ id: "h3", data: { email: "C@D.COM" } },
+						{ id: "keep", data: { email: "KEEP@ME.COM" } }
+					], callback );
+				},
+				function(callback) { unbase.update( "hooktest", "h1", { locked: true }, callback ); },
+				function(callback) {
+					unbase.update( "hooktest", "h1", { email: "changed@example.com" }, function(err) {
+						test.ok( !!err && (err.code == 'HookRejected'), "Before hook vetoed update: " + err );
+						callback();
+					} );
+				},
+				function(callback) {
+					unbase.delete( "hooktest", "keep", function(err) {
+						test.ok( !!err && !!err.message.match(/Cannot delete/), "Before hook vetoed delete: " + err );
+						callback();
+					} );
+				},
+				function(callback) { unbase.bulkDelete( "hooktest", [ "h2", "h3" ], callback ); },
+				function(callback) { unbase.batch( [ { action: 'insert', index: "hooktest", id: "h5", data: { email: "BATCH@X.COM" } } ], callback ); },
+				function(callback) { unbase.get( "hooktest", [ "h1", "keep", "h5" ], callback ); },
+				function(callback) { unbase.search( "hooktest", "email:example", { ids: true }, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error using write hooks: " + err );
+				var records = results[8][0];
+				test.ok( records[0].email == "joe@example.com", "Before hook normalized email" );
+				test.ok( records[0].modified == 12345, "Before hook stamped record" );
+				test.ok( records[0].locked === true, "Update before lock was allowed" );
+				test.ok( records[1].email == "keep@me.com", "Hooks ran for each bulk record" );
+				test.ok( records[2].email == "batch@x.com", "Hooks ran for batch record" );
+				test.ok( JSON.stringify(results[9].records) == '["h1"]', "Hooked data was indexed" );
+				test.ok( counts.afterInsert == 5, "After insert hooks ran: " + counts.afterInsert );
+				test.ok( counts.afterDelete == 2, "After delete hooks ran: " + counts.afterDelete );
+				
+				for (var type in hooks) {
+					unbase.unhook( type, (type == 'beforeUpdate') ? "*" : "hooktest", hooks[type] );
+				}
+				test.ok( !unbase.getHooks('beforeInsert', "hooktest").length, "Hooks removed" );
+				
+				unbase.deleteIndex( "hooktest", function(err) {
+					test.ok( !err, "No error deleting index: " + err );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testChangelog(test) {
+			var self = this;
+			var unbase = this.unbase;
+			
+			async.series([
+				function(callback) { unbase.createIndex( "changetest", { fields: [ { id: "title", source: "/title" } ], changelog: { data: true } }, callback ); },
+				function(callback) { unbase.insert( "changetest", "c1", { title: "One" }, callback ); },
+				function(callback) { unbase.insert( "changetest", "c2", { title: "Two" }, callback ); },
+				function(callback) { unbase.update( "changetest", "c1", { title: "Uno" }, callback ); },
+				function(callback) { unbase.delete( "changetest", "c2", callback ); },
+				function(callback) { unbase.batch( [ { action: 'insert', index: "changetest", id: "c3", data: { title: "Three" } } ], callback ); },
+				function(callback) { unbase.readChanges( "changetest", 0, callback ); },
+				function(callback) { unbase.readChanges( "changetest", 2, 2, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error writing and reading changes: " + err );
+				
+				var all = results[6];
+				test.ok( all.changes.length == 5, "All changes returned: " + all.changes.length );
+				test.ok( all.changes.map( function(change) { return change.seq; } ).join(',') == '1,2,3,4,5', "Sequence numbers are monotonic" );
+				test.ok( all.changes.map( function(change) { return change.action; } ).join(',') == 'insert,insert,update,delete,insert', "Actions are correct" );
+				test.ok( all.changes[2].id == "c1" && all.changes[2].data.title == "Uno", "Change includes record data" );
+				test.ok( !all.changes[3].data, "Delete change has no data" );
+				test.ok( all.last_seq == 5 && all.max_seq == 5, "Caught up to max seq" );
+				
+				var page = results[7];
+				test.ok( page.changes.map( function(change) { return change.seq; } ).join(',') == '3,4', "Paged changes since seq" );
+				test.ok( page.last_seq == 4 && page.max_seq == 5, "Page reports more changes available" );
+				
+				// follow from seq 3, then write one more change once caught up
+				var seen = [];
+				var feed = unbase.followChanges( "changetest", 3, { limit: 1 } );
+				
+				feed.on('change', function(change) {
+					seen.push( change.seq );
+					if (change.seq == 6) feed.stop();
+				} );
+				feed.once('idle', function(data) {
+					test.ok( data.seq == 5, "Feed caught up: " + data.seq );
+					unbase.insert( "changetest", "c4", { title: "Four" }, function(err) {
+						test.ok( !err, "No error inserting while following: " + err );
+					} );
+				} );
+				feed.on('stop', function() {
+					test.ok( seen.join(',') == '4,5,6', "Feed streamed backlog and new change: " + seen.join(',') );
+					test.ok( !Tools.numKeys(unbase.feeds.changetest), "Feed was deregistered" );
+					
+					unbase.deleteIndex( "changetest", function(err) {
+						test.ok( !err, "No error deleting index: " + err );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		function testChangelogRetention(test) {
+			var self = this;
+			var unbase = this.unbase;
+			
+			async.series([
+				function(callback) { unbase.createIndex( "changecap", { fields: [ { id: "title", source: "/title" } ], changelog: { max_entries: 3 } }, callback ); },
+				function(callback) { unbase.createIndex( "changeage", { fields: [ { id: "title", source: "/title" } ], changelog: { max_age: 0.001 } }, callback ); },
+				function(callback) {
+					async.timesSeries( 5, function(idx, callback) {
+						unbase.insert( "changecap", "r" + idx, { title: "Rec " + idx }, function(err) {
+							if (err) return callback(err);
+							unbase.insert( "changeage", "r" + idx, { title: "Rec " + idx }, callback );
+						} );
+					}, callback );
+				},
+				function(callback) { setTimeout( callback, 10 ); },
+				function(callback) { unbase.compactChanges( "changeage", callback ); },
+				function(callback) { unbase.readChanges( "changecap", 2, callback ); },
+				function(callback) { unbase.readChanges( "changeage", 4, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error compacting changes: " + err );
+				test.ok( results[5].changes.map( function(change) { return change.seq; } ).join(',') == '3,4,5', "Changelog trimmed to max_entries" );
+				test.ok( results[6].changes.length == 1 && results[6].changes[0].seq == 5, "Latest change survived compaction" );
+				
+				async.series([
+					function(callback) {
+						unbase.readChanges( "changecap", 0, function(err) {
+							test.ok( !!err && (err.code == 'ChangesCompacted'), "Reading trimmed changes fails: " + err );
+							callback();
+						} );
+					},
+					function(callback) {
+						unbase.readChanges( "changeage", 1, function(err) {
+							test.ok( !!err && (err.code == 'ChangesCompacted'), "Reading compacted changes fails: " + err );
+							callback();
+						} );
+					},
+					function(callback) {
+						unbase.createIndex( "changebad", { fields: [ { id: "title", source: "/title" } ], changelog: { max_entries: -1 } }, function(err) {
+							test.ok( !!err, "Invalid changelog config rejected: " + err );
+							callback();
+						} );
+					},
+					function(callback) { unbase.deleteIndex( "changecap", callback ); },
+					function(callback) { unbase.deleteIndex( "changeage", callback ); }
+				],
+				function(err) {
+					test.ok( !err, "No error deleting indexes: " + err );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testChangelogCompactPartial(test) {
+			var unbase = this.unbase;
+			test.timeout( 5000 );
+			
+			var insert = function(id, callback) {
+				unbase.insert( "changemix", id, { title: "Rec " + id }, callback );
+			};
+			
+			async.series([
+				function(callback) { unbase.createIndex( "changemix", { fields: [ { id: "title", source: "/title" } ], changelog: { max_age: 1 } }, callback ); },
+				function(callback) { async.eachSeries( [ "m1", "m2", "m3" ], insert, callback ); },
+				function(callback) { setTimeout( callback, 1100 ); },
+				function(callback) { async.eachSeries( [ "m4", "m5" ], insert, callback ); },
+				function(callback) { unbase.compactChanges( "changemix", callback ); },
+				function(callback) { unbase.readChanges( "changemix", 3, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error compacting changes: " + err );
+				test.ok( results[4] == 3, "Only old changes removed: " + results[4] );
+				test.ok( results[5].changes.map( function(change) { return change.seq; } ).join(',') == '4,5', "Newer changes kept: " + JSON.stringify(results[5].changes) );
+				
+				unbase.deleteIndex( "changemix", function(err) {
+					test.ok( !err, "No error deleting index: " + err );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testAttachments(test) {
+			var self = this;
+			var unbase = this.unbase;
+			var png = Buffer.from("PNGDATA123");
+			var csv = new stream.PassThrough();
+			csv.end( "a,b\n1,2\n" );
+			
+			async.series([
+				function(callback) {
+					unbase.createIndex( "attachtest", {
+						fields: [
+							{ id: "title", source: "/title" },
+							{ id: "attachment_types", source: "/_attachments/types" },
+							{ id: "attachment_size", source: "/_attachments/size", type: "number" }
+						]
+					}, callback );
+				},
+				function(callback) { unbase.insert( "attachtest", "a1", { title: "First" }, callback ); },
+				function(callback) { unbase.insert( "attachtest", "a2", { title: "Second" }, callback ); },
+				function(callback) { unbase.putAttachment( "attachtest", "a1", "shot.png", png, callback ); },
+				function(callback) { unbase.putAttachment( "attachtest", "a1", "export.csv", csv, callback ); },
+				function(callback) { unbase.putAttachment( "attachtest", "a2", "notes.txt", Buffer.from("hi"), { type: "text/markdown" }, callback ); },
+				function(callback) { unbase.listAttachments( "attachtest", "a1", callback ); },
+				function(callback) {
+					unbase.getAttachment( "attachtest", "a1", "shot.png", function(err, data, info) { callback( err, [data, info] ); } );
+				},
+				function(callback) {
+					unbase.getAttachment( "attachtest", "a1", "export.csv", { stream: true }, function(err, stream) {
+						if (err) return callback(err);
+						var chunks = [];
+						stream.on('data', function(chunk) { chunks.push(chunk); } );
+						stream.on('end', function() { callback( null, Buffer.concat(chunks).toString() ); } );
+					} );
+				},
+				function(callback) { unbase.search( "attachtest", "attachment_types:png", { ids: true }, callback ); },
+				function(callback) { unbase.search( "attachtest", "(attachment_size > 15)", { ids: true }, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error storing and fetching attachments: " + err );
+				test.ok( results[3].size == 10 && results[3].type == "image/png", "Buffer attachment info is correct" );
+				test.ok( results[4].size == 8 && results[4].type == "text/csv", "Stream attachment size was measured: " + results[4].size );
+				test.ok( results[5].type == "text/markdown", "Custom content type was kept" );
+				test.ok( results[6].map( function(info) { return info.name; } ).join(',') == "export.csv,shot.png", "Attachments listed by name" );
+				test.ok( results[7][0].toString() == "PNGDATA123", "Attachment data fetched as buffer" );
+				test.ok( results[7][1].name == "shot.png" && results[7][1].size == 10, "Attachment info passed to callback" );
+				test.ok( results[8] == "a,b\n1,2\n", "Attachment data fetched as stream" );
+				test.ok( JSON.stringify(results[9].records) == '["a1"]', "Searched by attachment type" );
+				test.ok( JSON.stringify(results[10].records) == '["a1"]', "Searched by total attachment size" );
+				
+				var a2_path = unbase.getAttachmentPath( "attachtest", "a2", "notes.txt" );
+				
+				async.series([
+					function(callback) {
+						unbase.putAttachment( "attachtest", "a1", "no extension", png, function(err) {
+							test.ok( !!err, "Invalid attachment name rejected: " + err );
+							callback();
+						} );
+					},
+					function(callback) {
+						unbase.putAttachment( "attachtest", "missing", "shot.png", png, function(err) {
+							test.ok( !!err && (err.code == 'RecordNotFound'), "Attachment on missing record rejected: " + err );
+							callback();
+						} );
+					},
+					function(callback) { unbase.deleteAttachment( "attachtest", "a1", "export.csv", callback ); },
+					function(callback) {
+						unbase.deleteAttachment( "attachtest", "a1", "export.csv", function(err) {
+							test.ok( !!err && (err.code == 'AttachmentNotFound'), "Deleting missing attachment fails: " + err );
+							callback();
+						} );
+					},
+					function(callback) {
+						unbase.getRecord( "attachtest", "a1", function(err, record) {
+							if (err) return callback(err);
+							test.ok( record._attachments.count == 1 && record._attachments.size == 10, "Record metadata updated after delete" );
+							callback();
+						} );
+					},
+					function(callback) { unbase.delete( "attachtest", "a1", callback ); },
+					function(callback) {
+						self.storage.get( unbase.getAttachmentPath("attachtest", "a1", "shot.png"), function(err) {
+							test.ok( !!err && (err.code == 'NoSuchKey'), "Attachment removed with record" );
+							callback();
+						} );
+					},
+					function(callback) { unbase.deleteIndex( "attachtest", callback ); },
+					function(callback) {
+						self.storage.get( a2_path, function(err) {
+							test.ok( !!err && (err.code == 'NoSuchKey'), "Attachment removed with index" );
+							callback();
+						} );
+					}
+				],
+				function(err) {
+					test.ok( !err, "No error deleting attachments: " + err );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testAttachmentsTrash(test) {
+			var self = this;
+			var unbase = this.unbase;
+			var veto = function(context, callback) { callback( new Error("No updates today") ); };
+			var live_path = unbase.getAttachmentPath( "attachtrash", "t1", "doc.txt" );
+			var trash_path = unbase.getAttachmentPath( "attachtrash", "t1", "doc.txt", true );
+			
+			var get_text = function(callback) {
+				unbase.getAttachment( "attachtrash", "t1", "doc.txt", function(err, data) {
+					callback( err, data ? data.toString() : null );
+				} );
+			};
+			var exists = function(path, callback) {
+				self.storage.head( path, function(err) { callback( null, !err ); } );
+			};
+			
+			async.series([
+				function(callback) { unbase.createIndex( "attachtrash", { fields: [ { id: "title", source: "/title" } ], soft_delete: true }, callback ); },
+				function(callback) { unbase.insert( "attachtrash", "t1", { title: "Old" }, callback ); },
+				function(callback) { unbase.putAttachment( "attachtrash", "t1", "doc.txt", Buffer.from("old data"), callback ); },
+				function(callback) {
+					// failed replace must keep the original data
+					unbase.hook( 'beforeUpdate', "attachtrash", veto );
+					unbase.putAttachment( "attachtrash", "t1", "doc.txt", Buffer.from("new data"), function(err) {
+						unbase.unhook( 'beforeUpdate', "attachtrash", veto );
+						test.ok( !!err && (err.code == 'HookRejected'), "Attachment update vetoed: " + err );
+						callback();
+					} );
+				},
+				get_text,
+				function(callback) { unbase.delete( "attachtrash", "t1", callback ); },
+				function(callback) { exists( live_path, callback ); },
+				function(callback) { exists( trash_path, callback ); },
+				function(callback) { unbase.insert( "attachtrash", "t1", { title: "New" }, callback ); },
+				function(callback) { unbase.putAttachment( "attachtrash", "t1", "doc.txt", Buffer.from("live data"), callback ); },
+				function(callback) { unbase.purgeTrash( "attachtrash", callback ); },
+				get_text,
+				function(callback) { unbase.delete( "attachtrash", "t1", callback ); },
+				function(callback) { unbase.undelete( "attachtrash", "t1", callback ); },
+				get_text,
+				function(callback) { exists( trash_path, callback ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error trashing records with attachments: " + err );
+				test.ok( results[4] == "old data", "Failed replace kept original attachment: " + results[4] );
+				test.ok( !results[6] && results[7], "Attachment moved to trash with record" );
+				test.ok( results[11] == "live data", "Purging trash left new record attachment alone: " + results[11] );
+				test.ok( results[14] == "live data", "Undelete restored attachment: " + results[14] );
+				test.ok( !results[15], "Attachment no longer in trash after undelete" );
+				
+				unbase.deleteIndex( "attachtrash", function(err) {
+					test.ok( !err, "No error deleting index: " + err );
+					test.done();
+				} );
+			} );
+		},
+		
+		function testEncryption(test) {
+			var self = this;
+			var unbase = this.unbase;
+			var data_path = unbase.basePath + '/records/secrettest/s1';
+			var plain = { title: "Alice", ssn: "123-45-6789", auth: { user: "alice", token: "abc123" } };
+			
+			async.series([
+				function(callback) {
+					unbase.createIndex( "secrettest", {
+						fields: [ { id: "title", source: "/title" }, { id: "user", source: "/auth/user" } ],
+						encrypted: [ "/ssn", "/auth/token" ],
+						record_history: true,
+						changelog: { data: true }
+					}, callback );
+				},
+				function(callback) { unbase.insert( "secrettest", "s1", plain, callback ); },
+				function(callback) { self.storage.get( data_path, function(err, raw) { callback(err, raw); } ); },
+				function(callback) { unbase.update( "secrettest", "s1", { ssn: "987-65-4321" }, callback ); },
+				function(callback) { unbase.get( "secrettest", "s1", callback ); },
+				function(callback) { unbase.search( "secrettest", "user:alice", {}, callback ); },
+				function(callback) { unbase.getRecordHistory( "secrettest", "s1", callback ); },
+				function(callback) { self.storage.listGet( unbase.getRecordHistoryPath("secrettest", "s1"), 0, 0, function(err, items) { callback(err, items); } ); },
+				function(callback) { unbase.readChanges( "secrettest", 0, callback ); },
+				function(callback) { self.storage.listGet( unbase.getChangelogPath("secrettest"), 0, 0, function(err, items) { callback(err, items); } ); }
+			],
+			function(err, results) {
+				test.ok( !err, "No error writing and reading encrypted records: " + err );
+				
+				var raw = results[2];
+				test.ok( unbase.isEncryptedValue(raw.ssn) && unbase.isEncryptedValue(raw.auth.token), "Encrypted paths stored encrypted" );
+				test.ok( raw.auth.user == "alice" && raw.title == "Alice", "Other paths stored in plaintext" );
+				test.ok( JSON.stringify(raw).indexOf("6789") == -1, "Plaintext not in storage" );
+				
+				var record = results[4][0];
+				test.ok( record.ssn == "987-65-4321" && record.auth.token == "abc123", "Record decrypted on get" );
+				test.ok( results[4][1] == unbase.getRecordRev(record), "Revision is based on plaintext" );
+				test.ok( results[5].records.length == 1 && results[5].records[0].ssn == "987-65-4321", "Record decrypted on search" );
+				test.ok( results[6][1].data.ssn == "123-45-6789", "Record history decrypted" );
+				test.ok( JSON.stringify(results[7][0]).indexOf("6789") == -1, "Record history stored encrypted" );
+				test.ok( results[8].changes[1].data.ssn == "987-65-4321", "Changelog data decrypted" );
+				test.ok( JSON.stringify(results[9].map( function(item) { return item.data; } )).indexOf("4321") == -1, "Changelog data stored encrypted" );
+				
+				var old_kid = unbase.encryptionKeyID;
+				
+				async.series([
+					function(callback) {
+						unbase.createIndex( "secretbad", { fields: [ { id: "ssn", source: "/ssn" } ], encrypted: [ "/ssn" ] }, function(err) {
+							test.ok( !!err && !!err.message.match(/encrypted/), "Encrypted path as field source rejected: " + err );
+							callback();
+						} );
+					},
+					function(callback) {
+						unbase.addField( "secrettest", { id: "auth", source: "/auth" }, function(err) {
+							test.ok( !!err, "Field containing encrypted path rejected: " + err );
+							callback();
+						} );
+					},
+					function(callback) {
+						unbase.addField( "secrettest", { id: "full_name", compute: "compFullName" }, function(err) {
+							test.ok( !!err && !!err.message.match(/Computed/), "Computed field on encrypted index rejected: " + err );
+							callback();
+						} );
+					},
+					function(callback) {
+						// switch to new key, keeping the old one around for decryption
+						unbase.config.set( 'encryption_key', "unit-test-secret-two" );
+						unbase.config.set( 'old_encryption_keys', [ "unit-test-secret-one" ] );
+						unbase.prepEncryptionKeys();
+						test.ok( unbase.encryptionKeyID != old_kid, "New key is active" );
+						
+						unbase.rotateEncryptionKey( "secrettest", function(err, num_rotated) {
+							test.ok( num_rotated == 4, "Record, its history and changelog were rotated: " + num_rotated );
+							callback(err);
+						} );
+					},
+					function(callback) {
+						// drop the old key, everything must still decrypt
+						unbase.config.set( 'old_encryption_keys', [] );
+						unbase.prepEncryptionKeys();
+						
+						self.storage.get( data_path, function(err, raw) {
+							if (err) return callback(err);
+							test.ok( raw.ssn.indexOf(unbase.encryptionPrefix + unbase.encryptionKeyID) == 0, "Record re-encrypted with new key" );
+							
+							unbase.getRecordHistory( "secrettest", "s1", function(err, items) {
+								test.ok( items[1].data.ssn == "123-45-6789", "History decrypts with new key" );
+								if (err) return callback(err);
+								
+								unbase.readChanges( "secrettest", 0, function(err, data) {
+									test.ok( data.changes[0].data.ssn == "123-45-6789", "Changelog decrypts with new key" );
+									callback(err);
+								} );
+							} );
+						} );
+					},
+					function(callback) {
+						// without any key, writes are refused
+						unbase.config.delete( 'encryption_key' );
+						unbase.prepEncryptionKeys();
+						
+						unbase.insert( "secrettest", "s2", plain, function(err) {
+							test.ok( !!err, "Write without encryption key rejected: " + err );
+							
+							unbase.config.set( 'encryption_key', "unit-test-secret-two" );
+							unbase.prepEncryptionKeys();
+							callback();
+						} );
+					},
+					function(callback) { unbase.deleteIndex( "secrettest", callback ); }
+				],
+				function(err) {
+					test.ok( !err, "No error rotating keys: " + err );
+					
+					// back to original config
+					unbase.config.set( 'encryption_key', "unit-test-secret-one" );
+					unbase.config.delete( 'old_encryption_keys' );
+					unbase.prepEncryptionKeys();
+					test.done();
+				} );
+			} );
+		},
+		
 		function testDeleteIndex(test) {
 			this.unbase.deleteIndex( "myapp", function(err) {
 				test.ok( !err, "No error deleting index: " + err );
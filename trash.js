@@ -0,0 +1,204 @@
+// PixlServer Unbase Trash Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	getTrashPath: function(index_key, record_id) {
+		// get storage path to trashed record data
+		return this.basePath + '/trash/' + index_key + '/' + record_id;
+	},
+	
+	getTrashIDsPath: function(index_key) {
+		// get storage path to hash of all trashed record ids (values are deletion info)
+		return this.basePath + '/trash_ids/' + index_key;
+	},
+	
+	trashRecord: function(index_key, record_id, args, callback) {
+		// move record data and attachments to trash area (record must already be unindexed)
+		// call this from inside the record lock
+		var self = this;
+		var index = this.indexes[index_key];
+		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
+		
+		var info = Tools.mergeHashes( args.meta || {}, { date: Tools.timeNow(true) } );
+		
+		this.storage.get( data_path, function(err, record_data) {
+			if (err) return callback(err);
+			
+			// attachments move too, so a new record with the same id never shares them
+			self.moveTrashAttachments( index_key, record_id, self.decryptRecord(index, record_data), false, function(err) {
+				if (err) return callback(err);
+				
+				self.storage.rename( data_path, self.getTrashPath(index_key, record_id), function(err) {
+					if (err) return callback(err);
+					self.storage.hashPut( self.getTrashIDsPath(index_key), record_id, info, callback );
+				} );
+			} );
+		} );
+	},
+	
+	listTrash: function(index_key, callback) {
+		// list all trashed records for index, oldest first
+		// this works for deleted indexes too, as trash outlives them
+		index_key = this.resolveIndexKey(index_key);
+		
+		this.storage.hashGetAll( this.getTrashIDsPath(index_key), function(err, items) {
+			// ignore error (trash may be empty)
+			var rows = [];
+			for (var record_id in (items || {})) {
+				rows.push( Tools.mergeHashes( items[record_id], { id: record_id } ) );
+			}
+			rows.sort( function(a, b) { return a.date - b.date; } );
+			callback( null, rows );
+		} );
+	},
+	
+	undelete: function(index_key, record_id, callback) {
+		// restore record from trash, re-inserting and re-indexing it
+		// callback receives (err, rev)
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var trash_path = this.getTrashPath(index_key, record_id);
+		
+		this.logDebug(6, "Undeleting record: " + index_key + '/' + record_id);
+		
+		this.storage.get( trash_path, function(err, record_data) {
+			if (err && (err.code == 'NoSuchKey')) {
+				err = new Error("Record not found in trash: " + index_key + '/' + record_id);
+				err.code = 'RecordNotFound';
+			}
+			if (err) return callback(err);
+			
+			// create mode, so we never clobber a record inserted since the delete
+			record_data = self.decryptRecord(index, record_data);
+			self.insert( { index: index_key, id: record_id, data: record_data, mode: 'create' }, function(err, record_id, rev) {
+				if (err) return callback(err);
+				
+				// bring attachments back to the record path, only now that the record is ours again
+				self.moveTrashAttachments( index_key, record_id, record_data, true, function(err) {
+					if (err) return callback(err);
+					
+					self.removeTrashRecord( index_key, record_id, function(err) {
+						callback( err, rev );
+					} );
+				} );
+			} ); // insert
+		} ); // get
+	},
+	
+	removeTrashRecord: function(index_key, record_id, callback) {
+		// permanently delete single record from trash
+		var self = this;
+		
+		this.storage.delete( this.getTrashPath(index_key, record_id), function(err) {
+			// ignore error (data may be gone already)
+			self.storage.hashDelete( self.getTrashIDsPath(index_key), record_id, function(err) {
+				// ignore error (hash may be gone already)
+				callback();
+			} );
+		} );
+	},
+	
+	purgeTrash: function(index_key, age, callback) {
+		// permanently delete trashed records older than age (seconds), as a background job
+		// omit age (or pass 0) to empty the trash entirely
+		// callback receives number of records purged
+		if (typeof(age) == 'function') { callback = age; age = 0; }
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
+		
+		var cutoff = Tools.timeNow(true) - (age || 0);
+		var job = this.createJob({ title: "Purging trash: " + index_key, index: index_key, purged: 0 });
+		var num_purged = 0;
+		var record_idx = 0;
+		
+		var finish = function() {
+			// job finished
+			self.finishJob(job);
+			self.logDebug(6, "Purged " + num_purged + " records from trash: " + index_key);
+			callback( null, num_purged );
+		};
+		
+		this.listTrash( index_key, function(err, items) {
+			var ids = items.filter( function(item) { return !age || (item.date < cutoff); } ).map( function(item) { return item.id; } );
+			
+			async.eachSeries( ids,
+				function(record_id, callback) {
+					// attachments live under the trash path while trashed, so they go now
+					self.storage.get( self.getTrashPath(index_key, record_id), function(err, record_data) {
+						self.deleteRecordAttachments( index_key, record_id, record_data, true, function() {
+							self.removeTrashRecord( index_key, record_id, function() {
+								num_purged++;
+								
+								// update job progress
+								record_idx++;
+								self.updateJob(job, { progress: record_idx / ids.length, purged: num_purged });
+								
+								callback();
+							} );
+						} );
+					} );
+				},
+				function() {
+					// clean up hash entirely if trash is now empty
+					if (num_purged < items.length) return finish();
+					self.storage.hashDeleteAll( self.getTrashIDsPath(index_key), true, function(err) {
+						// ignore error (hash may not exist)
+						finish();
+					} );
+				}
+			); // eachSeries
+		} ); // listTrash
+		
+		return job;
+	},
+	
+	moveTrash: function(old_key, new_key, callback) {
+		// move all trashed records from one index to another (for renameIndex)
+		var self = this;
+		
+		this.storage.hashGetAll( this.getTrashIDsPath(old_key), function(err, items) {
+			// ignore error (trash may be empty)
+			async.eachSeries( Object.keys(items || {}),
+				function(record_id, callback) {
+					self.storage.get( self.getTrashPath(old_key, record_id), function(err, record_data) {
+						if (err) return callback(err);
+						
+						// trashed attachments live under the trash path
+						var get_src_path = function(name) { return self.getAttachmentPath(old_key, record_id, name, true); };
+						var get_dest_path = function(name) { return self.getAttachmentPath(new_key, record_id, name, true); };
+						
+						self.transferAttachments( record_data, 'rename', get_src_path, get_dest_path, function(err) {
+							if (err) return callback(err);
+							
+							self.storage.rename( self.getTrashPath(old_key, record_id), self.getTrashPath(new_key, record_id), function(err) {
+								if (err) return callback(err);
+								self.storage.hashPut( self.getTrashIDsPath(new_key), record_id, items[record_id], callback );
+							} );
+						} );
+					} );
+				},
+				function(err) {
+					if (err) return callback(err);
+					self.storage.hashDeleteAll( self.getTrashIDsPath(old_key), true, function(err) {
+						// ignore error (hash may not exist)
+						callback();
+					} );
+				}
+			); // eachSeries
+		} ); // hashGetAll
+	}
+	
+}); // class
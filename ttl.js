@@ -0,0 +1,194 @@
+// PixlServer Unbase Record Expiration Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	expireStats: null,
+	
+	validateTTL: function(index) {
+		// make sure index ttl config is kosher
+		// ttl: { source, age, expires }
+		// return false for success, or error on failure
+		if (!("ttl" in index) || !index.ttl) return false;
+		var ttl = index.ttl;
+		
+		if (!Tools.isaHash(ttl)) return new Error("Invalid index ttl: Must be an object");
+		if (!("age" in ttl) && !("expires" in ttl)) return new Error("Invalid index ttl: Must specify age and/or expires");
+		
+		if ("age" in ttl) {
+			if ((typeof(ttl.age) != 'number') || (ttl.age <= 0)) return new Error("Invalid index ttl: Age must be a positive number");
+			
+			var field = Tools.findObject( index.fields || [], { id: ttl.source } );
+			var sorter = Tools.findObject( index.sorters || [], { id: ttl.source } );
+			
+			if (!(field && (field.type == 'date')) && !(sorter && (sorter.type == 'number'))) {
+				return new Error("Invalid index ttl: Source must be a date field or number sorter: " + ttl.source);
+			}
+		}
+		
+		if ("expires" in ttl) {
+			var sorter = Tools.findObject( index.sorters || [], { id: ttl.expires } );
+			if (!sorter || (sorter.type != 'number')) {
+				return new Error("Invalid index ttl: Expires must be a number sorter: " + ttl.expires);
+			}
+		}
+		
+		return false;
+	},
+	
+	getExpiredRecordIDs: function(index_key, callback) {
+		// find all expired record ids in index, by age and/or per-record expiration
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		
+		var err = index.ttl ? this.validateTTL(index) : new Error("Index has no ttl: " + index_key);
+		if (err) return callback(err);
+		
+		var ttl = index.ttl;
+		var now = Tools.timeNow(true);
+		var ids = {};
+		
+		var scan_sorter = function(sorter_id, cutoff, callback) {
+			// walk sorter hash for values (epoch) older than cutoff
+			// zero / empty values mean "never", so skip those
+			self.storage.hashEachPage( index.base_path + '/' + sorter_id + '/sort', function(items, callback) {
+				for (var record_id in items) {
+					var value = parseFloat( items[record_id] );
+					if ((value > 0) && (value < cutoff)) ids[record_id] = 1;
+				}
+				callback();
+			},
+			function(err) {
+				// ignore error (empty sorter)
+				callback();
+			} ); // hashEachPage
+		};
+		
+		async.series(
+			[
+				function(callback) {
+					// index-level max age
+					if (!ttl.age) return process.nextTick( callback );
+					var cutoff = now - ttl.age;
+					
+					if (Tools.findObject( index.sorters || [], { id: ttl.source } )) {
+						return scan_sorter( ttl.source, cutoff, callback );
+					}
+					
+					// date fields are indexed by day, so search for everything prior to cutoff day
+					var dargs = Tools.getDateArgs( cutoff );
+					var query = ttl.source + ':<' + dargs.yyyy + '_' + dargs.mm + '_' + dargs.dd;
+					
+					self.search( index_key, query, { ids: true }, function(err, data) {
+						if (err) return callback(err);
+						data.records.forEach( function(record_id) { ids[record_id] = 1; } );
+						callback();
+					} );
+				},
+				function(callback) {
+					// per-record expiration
+					if (!ttl.expires) return process.nextTick( callback );
+					scan_sorter( ttl.expires, now, callback );
+				}
+			],
+			function(err) {
+				callback( err, Object.keys(ids) );
+			}
+		); // series
+	},
+	
+	expireRecords: function(index_key, callback) {
+		// delete all expired records in index, as a background job
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
+		
+		this.getExpiredRecordIDs( index_key, function(err, ids) {
+			if (err) return callback(err);
+			if (!ids.length) return callback( null, 0 );
+			
+			// another job may have started while we were searching
+			if (self.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
+			
+			var job = self.createJob({ title: "Expiring " + ids.length + " records", index: index_key, expired: 0 });
+			var stats = self.expireStats;
+			var num_expired = 0;
+			var record_idx = 0;
+			
+			async.eachSeries( ids,
+				function(record_id, callback) {
+					self.delete( { index: index_key, id: record_id, trash: false }, function(err) {
+						// ignore error (record may have been deleted already)
+						if (!err) num_expired++;
+						
+						// update job progress
+						record_idx++;
+						self.updateJob(job, { progress: record_idx / ids.length, expired: num_expired });
+						
+						callback();
+					} ); // delete
+				},
+				function() {
+					// job finished
+					self.finishJob(job);
+					
+					stats.expired += num_expired;
+					stats.indexes[index_key] = (stats.indexes[index_key] || 0) + num_expired;
+					
+					self.logDebug(6, "Expired " + num_expired + " records from index: " + index_key);
+					callback( null, num_expired );
+				}
+			); // eachSeries
+		} ); // getExpiredRecordIDs
+	},
+	
+	sweepExpired: function(callback) {
+		// check all indexes with a ttl for expired records (called every minute)
+		if (!callback) callback = noop;
+		var self = this;
+		var stats = this.expireStats;
+		var total = 0;
+		
+		if (stats.active) return callback( null, 0 );
+		stats.active = true;
+		
+		async.eachSeries( Object.keys(this.indexes),
+			function(index_key, callback) {
+				if (!self.indexes[index_key] || !self.indexes[index_key].ttl) return process.nextTick( callback );
+				if (self.indexes[index_key].mode) {
+					self.logDebug(6, "Index is " + self.indexes[index_key].mode + ", skipping expiration: " + index_key);
+					return process.nextTick( callback );
+				}
+				if (self.countIndexJobs(index_key)) {
+					self.logDebug(6, "Index is busy, skipping expiration: " + index_key);
+					return process.nextTick( callback );
+				}
+				
+				self.expireRecords( index_key, function(err, count) {
+					if (err) self.logError('ttl', "Failed to expire records: " + index_key + ": " + err);
+					else total += count;
+					callback();
+				} );
+			},
+			function() {
+				stats.active = false;
+				stats.sweeps++;
+				stats.last_sweep = Tools.timeNow(true);
+				callback( null, total );
+			}
+		); // eachSeries
+	}
+	
+}); // class
@@ -0,0 +1,215 @@
+// PixlServer Unbase Index Verify Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	getManifestPath: function(index_key) {
+		// get storage path to hash of all record ids stored for index (indexed or not)
+		return this.basePath + '/manifest/' + index_key;
+	},
+	
+	getManifestIDs: function(index_key, callback) {
+		// get ALL record ids from manifest, as a hash
+		var ids = {};
+		
+		this.storage.hashEachPage( this.getManifestPath(index_key), function(items, callback) {
+			for (var id in items) ids[id] = 1;
+			callback();
+		},
+		function(err) {
+			// ignore error (empty hash)
+			callback( null, ids );
+		} ); // hashEachPage
+	},
+	
+	verifyIndex: function(index_key, opts, callback) {
+		// cross-check record store against index, and optionally repair
+		// opts: { repair }
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!opts) opts = {};
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		if (this.countIndexJobs(index_key)) return callback( new Error("Index is busy: " + index_key) );
+		
+		var job = this.createJob({ title: (opts.repair ? "Repairing" : "Verifying") + " index: " + index_key, index: index_key, readonly: !opts.repair });
+		var manifest_path = this.getManifestPath(index_key);
+		var indexed = {};
+		var listed = {};
+		var all_record_ids = [];
+		var record_idx = 0;
+		var report = { records: 0, orphans: [], unindexed: [], stale: [], repaired: 0 };
+		
+		var repair = function(record_id, action, callback) {
+			// reindex or unindex single record inside record lock
+			var data_path = self.basePath + '/records/' + index_key + '/' + record_id;
+			
+			self.storage.lock( data_path, true, function() {
+				var finish = function(err, state) {
+					if (!err && state) {
+						state.action = action;
+						self.updateViews(index_key, state);
+						report.repaired++;
+					}
+					self.storage.unlock( data_path );
+					callback(err);
+				};
+				
+				if (action == 'delete') {
+					self.storage.unindexRecord( record_id, index, function(err, state) {
+						if (err) return finish(err);
+						self.storage.hashDelete( manifest_path, record_id, function() {
+							// ignore error (record may not be in manifest)
+							finish(null, state);
+						} );
+					} );
+				}
+				else {
+					self.storage.get( data_path, function(err, record_data) {
+						if (err) return finish(err);
+						self.storage.indexRecord( record_id, self.computeRecord(index, self.decryptRecord(index, record_data)), index, finish );
+					} );
+				}
+			} ); // lock
+		};
+		
+		async.series(
+			[
+				function(callback) {
+					// get all indexed record ids
+					self.getAllRecordIDs( index_key, function(err, ids) {
+						// ignore error (will just be empty list)
+						ids.forEach( function(id) { indexed[id] = 1; } );
+						callback();
+					} );
+				},
+				function(callback) {
+					// get all stored record ids
+					self.getManifestIDs( index_key, function(err, ids) {
+						listed = ids;
+						all_record_ids = Object.keys( Tools.mergeHashes(indexed, listed) );
+						report.records = all_record_ids.length;
+						callback();
+					} );
+				},
+				function(callback) {
+					// check each record
+					async.eachSeries( all_record_ids,
+						function(record_id, callback) {
+							var data_path = self.basePath + '/records/' + index_key + '/' + record_id;
+							
+							// update job progress
+							record_idx++;
+							self.updateJob(job, { progress: record_idx / all_record_ids.length });
+							
+							self.storage.get( data_path, function(err, record_data) {
+								if (err && (err.code != 'NoSuchKey')) return callback(err);
+								
+								if (!record_data) {
+									if (!indexed[record_id]) {
+										// manifest entry left over from interrupted insert, nothing to unindex
+										if (!opts.repair) return callback();
+										return self.storage.hashDelete( manifest_path, record_id, function() { callback(); } );
+									}
+									
+									// index entry with no record behind it
+									report.orphans.push( record_id );
+									if (!opts.repair) return callback();
+									return repair( record_id, 'delete', callback );
+								}
+								
+								async.series([
+									function(callback) {
+										// records stored prior to manifest tracking are quietly added to it
+										if (listed[record_id] || !opts.repair) return callback();
+										self.storage.hashPut( manifest_path, record_id, 1, callback );
+									},
+									function(callback) {
+										if (!indexed[record_id]) {
+											// record stored without (or before finishing) indexing
+											report.unindexed.push( record_id );
+											if (!opts.repair) return callback();
+											return repair( record_id, 'insert', callback );
+										}
+										
+										self.storage.get( index.base_path + '/_data/' + record_id, function(err, idx_data) {
+											if (err && (err.code != 'NoSuchKey')) return callback(err);
+											if (!self.isIndexDataStale(index, self.decryptRecord(index, record_data), idx_data)) return callback();
+											
+											// index data does not match current record content
+											report.stale.push( record_id );
+											if (!opts.repair) return callback();
+											repair( record_id, 'insert', callback );
+										} );
+									}
+								],
+								function(err) { callback(err); }
+								); // series
+							} ); // get
+						},
+						callback
+					); // eachSeries
+				}
+			],
+			function(err) {
+				// job finished
+				self.finishJob(job);
+				
+				self.logDebug(3, "Index verification complete: " + index_key, {
+					records: report.records,
+					orphans: report.orphans.length,
+					unindexed: report.unindexed.length,
+					stale: report.stale.length,
+					repaired: report.repaired
+				});
+				
+				callback(err, report);
+			}
+		); // series
+		
+		return job;
+	},
+	
+	isIndexDataStale: function(index, record, idx_data) {
+		// compare record content against its stored index data, using the same rules as the indexer
+		if (!idx_data) return true;
+		record = this.computeRecord(index, record);
+		
+		for (var idx = 0, len = index.fields.length; idx < len; idx++) {
+			var def = index.fields[idx];
+			var value = def.source.match(/\[.+\]/) ? Tools.sub(def.source, record, true) : Tools.getPath(record, def.source);
+			if (value === undefined) value = null;
+			if ((value === null) && ("default_value" in def)) value = def.default_value;
+			if (value === null) continue; // indexer skips null values, so there is nothing to compare
+			if (typeof(value) == 'object') value = JSON.stringify(value);
+			
+			var words = this.storage.getWordList( ''+value, def, index );
+			var checksum = Tools.digestHex( words.join(' '), 'md5' );
+			if (!idx_data[def.id] || (idx_data[def.id].checksum != checksum)) return true;
+		}
+		
+		var sorters = index.sorters || [];
+		var sort_values = idx_data._sorters || {};
+		
+		for (var idx = 0, len = sorters.length; idx < len; idx++) {
+			var sorter = sorters[idx];
+			var value = Tools.getPath(record, sorter.source);
+			if (value === undefined) value = null;
+			if ((value === null) && ("default_value" in sorter)) value = sorter.default_value;
+			if (value === null) continue;
+			if (!(sorter.id in sort_values) || (value != sort_values[sorter.id])) return true;
+		}
+		
+		return false;
+	}
+	
+}); // class
@@ -0,0 +1,233 @@
+// PixlServer Unbase Record Version History Mixin
+// Copyright (c) 2018 Joseph Huckaby
+// Released under the MIT License
+
+var async = require('async');
+var Class = require("pixl-class");
+var Tools = require("pixl-tools");
+
+function noop() {};
+
+module.exports = Class.create({
+	
+	defaultMaxVersions: 100,
+	
+	validateRecordHistory: function(index) {
+		// make sure index record_history config is kosher
+		// record_history: true, or { max_versions }
+		// return false for success, or error on failure
+		if (!("record_history" in index) || !index.record_history) return false;
+		var opts = index.record_history;
+		if (opts === true) return false;
+		
+		if (!Tools.isaHash(opts)) return new Error("Invalid index record_history: Must be true or an object");
+		if ("max_versions" in opts) {
+			var max = opts.max_versions;
+			if ((typeof(max) != 'number') || (max < 1) || (Math.floor(max) !== max)) {
+				return new Error("Invalid index record_history: max_versions must be a positive integer");
+			}
+		}
+		
+		return false;
+	},
+	
+	getRecordHistoryPath: function(index_key, record_id) {
+		// get storage path to version list for record
+		return this.indexes[index_key].base_path + '/_history/' + record_id;
+	},
+	
+	getRecordHistoryIDsPath: function(index_key) {
+		// get storage path to hash of all record ids with history, for cleanup
+		return this.indexes[index_key].base_path + '/_history_ids';
+	},
+	
+	saveRecordVersion: function(index_key, record_id, record_data, action, args, callback) {
+		// append previous record version (or null if none) to record history list
+		// args: { meta, history }, passed through from insert/update/delete
+		// call this from inside the record lock
+		var self = this;
+		var index = this.indexes[index_key];
+		if (!index.record_history || (args.history === false)) return process.nextTick( callback );
+		
+		var path = this.getRecordHistoryPath(index_key, record_id);
+		var max_versions = index.record_history.max_versions || this.defaultMaxVersions;
+		
+		var item = Tools.mergeHashes( args.meta || {}, {
+			rev: record_data ? this.getRecordRev(record_data) : null,
+			date: Tools.timeNow(),
+			action: action,
+			data: this.encryptRecord(index, record_data) || null
+		} );
+		
+		async.series([
+			function(callback) {
+				self.storage.listPush( path, item, callback );
+			},
+			function(callback) {
+				self.storage.hashPut( self.getRecordHistoryIDsPath(index_key), record_id, 1, callback );
+			},
+			function(callback) {
+				// enforce retention limit, oldest versions go first
+				self.storage.listGetInfo( path, function(err, list) {
+					if (err) return callback(err);
+					if (list.length <= max_versions) return callback();
+					self.storage.listSplice( path, 0, list.length - max_versions, null, callback );
+				} );
+			}
+		],
+		function(err) {
+			if (err) self.logError('history', "Failed to save record version: " + index_key + '/' + record_id + ": " + err);
+			callback(err);
+		}); // series
+	},
+	
+	archiveRecord: function(index_key, record_id, action, args, callback) {
+		// load current record (if any) and append it to record history
+		// call this from inside the record lock
+		var self = this;
+		var index = this.indexes[index_key];
+		if (!index.record_history || (args.history === false)) return process.nextTick( callback );
+		var data_path = this.basePath + '/records/' + index_key + '/' + record_id;
+		
+		this.storage.get( data_path, function(err, record_data) {
+			if (err && (err.code != 'NoSuchKey')) return callback(err);
+			record_data = self.decryptRecord(index, record_data);
+			
+			// deleting a nonexistent record has nothing to archive (and will fail anyway)
+			if (!record_data && (action == 'delete')) return callback();
+			
+			self.saveRecordVersion( index_key, record_id, record_data, action, args, callback );
+		} );
+	},
+	
+	getRecordHistory: function(index_key, record_id, callback) {
+		// get all previous versions of record, oldest first
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		var err = this.checkIndexMode(index_key, 'read');
+		if (err) return callback(err);
+		
+		this.storage.listGet( this.getRecordHistoryPath(index_key, record_id), 0, 0, function(err, items) {
+			// ignore error (record may have no history)
+			callback( null, (items || []).map( function(item) {
+				return item.data ? Tools.mergeHashes( item, { data: self.decryptRecord(index, item.data) } ) : item;
+			} ) );
+		} );
+	},
+	
+	getRecordAt: function(index_key, record_id, time, callback) {
+		// get record as it was at specified time (epoch seconds or date string)
+		// callback receives (err, record, rev)
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		
+		var epoch = (typeof(time) == 'number') ? time : ((new Date(time)).getTime() / 1000);
+		if (isNaN(epoch)) return callback( new Error("Invalid time: " + time) );
+		
+		this.getRecordHistory( index_key, record_id, function(err, items) {
+			if (err) return callback(err);
+			
+			// each item holds the version which was live up until its date
+			var item = items.filter( function(item) { return item.date > epoch; } )[0];
+			if (item) {
+				if (!item.data) return callback( self.getRecordNotFoundError(index_key, record_id) );
+				return callback( null, item.data, item.rev );
+			}
+			
+			// no changes since then, so current version applies
+			self.getRecord( index_key, record_id, function(err, record, rev) {
+				if (err && (err.code == 'NoSuchKey')) err = self.getRecordNotFoundError(index_key, record_id);
+				callback( err, record, rev );
+			} );
+		} );
+	},
+	
+	restoreRecord: function(index_key, record_id, rev, meta, callback) {
+		// restore record to previous version from history, reindexing and notifying views
+		// callback receives (err, rev)
+		if (typeof(meta) == 'function') { callback = meta; meta = null; }
+		if (!callback) callback = noop;
+		var self = this;
+		index_key = this.resolveIndexKey(index_key);
+		var index = this.indexes[index_key];
+		if (!index) return callback( new Error("Index not found: " + index_key) );
+		
+		this.getRecordHistory( index_key, record_id, function(err, items) {
+			if (err) return callback(err);
+			
+			// find newest version with matching revision
+			var item = Tools.findObject( items.slice().reverse(), { rev: rev } );
+			if (!item || !item.data) {
+				var err = new Error("Record version not found: " + index_key + '/' + record_id + ": " + rev);
+				err.code = 'RecordVersionNotFound';
+				return callback(err);
+			}
+			
+			self.logDebug(6, "Restoring record: " + index_key + '/' + record_id + " to revision " + rev);
+			
+			self.insert({
+				index: index_key,
+				id: record_id,
+				data: item.data,
+				meta: Tools.mergeHashes( meta || {}, { restore: rev } )
+			},
+			function(err, record_id, new_rev) {
+				callback( err, new_rev );
+			} ); // insert
+		} ); // getRecordHistory
+	},
+	
+	deleteRecordHistory: function(index_key, callback) {
+		// delete all record version history for index
+		var self = this;
+		var ids_path = this.getRecordHistoryIDsPath(index_key);
+		
+		this.storage.hashGetAll( ids_path, function(err, ids) {
+			// ignore error (index may have no history)
+			async.eachSeries( Object.keys(ids || {}),
+				function(record_id, callback) {
+					self.storage.listDelete( self.getRecordHistoryPath(index_key, record_id), true, function(err) {
+						// ignore error (list may be gone already)
+						callback();
+					} );
+				},
+				function() {
+					self.storage.hashDeleteAll( ids_path, true, function(err) {
+						// ignore error (hash may not exist)
+						callback();
+					} );
+				}
+			); // eachSeries
+		} ); // hashGetAll
+	},
+	
+	moveRecordHistory: function(old_key, new_key, callback) {
+		// move all record version history from one index to another (for renameIndex)
+		var self = this;
+		var old_ids_path = this.getRecordHistoryIDsPath(old_key);
+		
+		this.storage.hashGetAll( old_ids_path, function(err, ids) {
+			// ignore error (index may have no history)
+			async.eachSeries( Object.keys(ids || {}),
+				function(record_id, callback) {
+					self.storage.listRename( self.getRecordHistoryPath(old_key, record_id), self.getRecordHistoryPath(new_key, record_id), function(err) {
+						if (err) return callback(err);
+						self.storage.hashPut( self.getRecordHistoryIDsPath(new_key), record_id, 1, callback );
+					} );
+				},
+				function(err) {
+					if (err) return callback(err);
+					self.storage.hashDeleteAll( old_ids_path, true, function(err) {
+						// ignore error (hash may not exist)
+						callback();
+					} );
+				}
+			); // eachSeries
+		} ); // hashGetAll
+	}
+	
+}); // class
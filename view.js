@@ -237,14 +237,14 @@ module.exports = Class.create({
 				record_map[ record_ids[idx] ] = records[idx];
 			}
 			
-			// distribute correct offset/limit set to each sub
+			// distribute correct offset/limit set to each sub (each with its own field projection)
 			Object.keys(self.subs).forEach( function(key) {
 				var sub = self.subs[key];
 				var records = [];
 				
 				for (var idx = 0, len = Math.min(sub.limit, sort_pairs.length); idx < len; idx++) {
 					var record_id = sort_pairs[idx + sub.offset][0];
-					records.push( record_map[record_id] );
+					records.push( self.unbase.projectRecord(record_map[record_id], sub.fields) );
 				}
 				
 				sub.emit('change', {
@@ -299,7 +299,7 @@ module.exports = Class.create({
 				
 				for (var idx = 0, len = Math.min(sub.limit, sort_pairs.length); idx < len; idx++) {
 					var record_id = sort_pairs[idx + sub.offset][0];
-					records.push( record_map[record_id] );
+					records.push( self.unbase.projectRecord(record_map[record_id], sub.fields) );
 				}
 				
 				sub.emit('change', {